@@ -1,18 +1,53 @@
 // src/controllers/adminController.js
 const User = require('../models/User'); // Assuming your User model is here
 const Job = require('../models/Job'); // Assuming your Job model is here
+const SavedJob = require('../models/SavedJob');
+const JobAlert = require('../models/JobAlert');
+const Session = require('../models/Session');
+const { deleteUserAccount } = require('../utils/accountCleanup');
+const { normaliseSkills } = require('../utils/skills');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { sendVerificationEmail } = require('../utils/emailVerification');
 const asyncHandler = require('../middleware/asyncHandler'); // Your existing asyncHandler
 const bcrypt = require('bcryptjs'); // Import bcrypt for password hashing
+const { withTieBreaker, decodeCursor, cursorCondition, buildPage } = require('../utils/pagination');
+
+// Admin lists are sorted newest first with _id as tie-breaker so cursors stay stable
+const ADMIN_LIST_SORT = withTieBreaker({ createdAt: -1 });
+
+// Reads ?cursor= (preferred) or ?page= and returns the query to run for this page and how many to skip.
+// Throws a 400 for a cursor that does not belong to this list.
+const getAdminPage = (req, res, query, listKey) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    if (!req.query.cursor) {
+        return { page, limit, skip: (page - 1) * limit, pageQuery: query };
+    }
+    const cursorValues = decodeCursor(req.query.cursor, ADMIN_LIST_SORT, listKey);
+    if (!cursorValues) {
+        res.status(400);
+        throw new Error('Invalid cursor. Start again without a cursor.');
+    }
+    return { page: null, limit, skip: 0, pageQuery: { $and: [query, cursorCondition(ADMIN_LIST_SORT, cursorValues)] } };
+};
+
+// Reads a phone number sent to an admin edit in the stored (normalized) form: undefined when not
+// sent, null to clear it. Throws a 400 for an invalid number.
+const parsePhoneNumberUpdate = (res, phoneNumber) => {
+    if (phoneNumber === undefined) return undefined;
+    if (phoneNumber === null || String(phoneNumber).trim() === '') return null;
+    const normalized = normalizePhoneNumber(String(phoneNumber));
+    if (!normalized) {
+        res.status(400);
+        throw new Error('Please provide a valid phone number.');
+    }
+    return normalized;
+};
 
 // @desc    Get all employers (admin only)
 // @route   GET /api/admin/employers
 // @access  Private/Admin
 const getEmployers = asyncHandler(async (req, res) => {
-    // Basic pagination setup
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
     // Build query for employers
     let query = { user_type: 'employer' };
 
@@ -26,19 +61,25 @@ const getEmployers = asyncHandler(async (req, res) => {
         ];
     }
 
+    // Pagination: ?cursor= from nextCursor, or ?page= as a fallback
+    const { page, limit, skip, pageQuery } = getAdminPage(req, res, query, 'admin:employers');
+
     try {
         const totalEmployers = await User.countDocuments(query);
-        const employers = await User.find(query)
+        const results = await User.find(pageQuery)
             .select('-password') // Exclude password from results
-            .sort({ createdAt: -1 }) // Sort by most recently created
+            .sort(ADMIN_LIST_SORT) // Sort by most recently created
             .skip(skip)
-            .limit(limit);
+            .limit(limit + 1);
+        const { items: employers, hasMore, nextCursor } = buildPage(results, limit, ADMIN_LIST_SORT, 'admin:employers');
 
         res.status(200).json({
             employers,
             currentPage: page,
             totalPages: Math.ceil(totalEmployers / limit),
-            totalEmployers
+            totalEmployers,
+            hasMore,
+            nextCursor
         });
     } catch (error) {
         console.error("Error fetching employers for admin:", error);
@@ -70,19 +111,27 @@ const updateEmployer = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { company_name, email, phone_number, address_text, user_type, company_description, password } = req.body; // Added password
 
+    // Admin access only comes through roles (PUT /api/admin/users/:id/roles), which check roles:manage
+    // and two-factor authentication, so the account type cannot be changed here
+    if (user_type !== undefined && user_type !== 'employer') {
+        res.status(400);
+        throw new Error('The account type cannot be changed.');
+    }
+
     const updateFields = {};
     if (company_name !== undefined) updateFields.company_name = company_name;
-    if (email !== undefined) updateFields.email = email;
-    if (phone_number !== undefined) updateFields.phone_number = phone_number;
+    if (email !== undefined) updateFields.email = String(email).trim();
+    const phoneNumber = parsePhoneNumberUpdate(res, phone_number);
+    if (phoneNumber !== undefined) updateFields.phone_number = phoneNumber;
     if (address_text !== undefined) updateFields.address_text = address_text;
     if (company_description !== undefined) updateFields.company_description = company_description;
-    if (user_type !== undefined) updateFields.user_type = user_type;
 
     // Handle password update if provided
     if (password) {
         // Hash the new password
         const salt = await bcrypt.genSalt(10);
         updateFields.password = await bcrypt.hash(password, salt);
+        updateFields.password_changed_at = new Date();
     }
 
     const employer = await User.findOne({ _id: id, user_type: 'employer' });
@@ -92,12 +141,35 @@ const updateEmployer = asyncHandler(async (req, res) => {
         throw new Error('Employer not found');
     }
 
+    // A different number or email address has to be confirmed again by its owner
+    if (phoneNumber !== undefined && phoneNumber !== (employer.phone_number || null)) {
+        updateFields.phone_verified = false;
+    }
+    const emailChanged = updateFields.email !== undefined && updateFields.email !== employer.email;
+    if (emailChanged) {
+        updateFields.email_verified = false;
+        updateFields.email_verified_at = null;
+    }
+
     const updatedEmployer = await User.findByIdAndUpdate(
         id,
         { $set: updateFields },
         { new: true, runValidators: true }
     ).select('-password');
 
+    if (emailChanged) {
+        try {
+            await sendVerificationEmail(updatedEmployer);
+        } catch (mailError) {
+            console.error('Error sending verification email after an admin email change:', mailError);
+        }
+    }
+
+    // A password reset by an admin signs the employer out everywhere
+    if (password) {
+        await Session.revokeAllForUser(id);
+    }
+
     res.status(200).json({ message: 'Employer updated successfully', employer: updatedEmployer });
 });
 
@@ -107,13 +179,16 @@ const updateEmployer = asyncHandler(async (req, res) => {
 const deleteEmployer = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const employer = await User.findOneAndDelete({ _id: id, user_type: 'employer' });
+    const employer = await User.findOne({ _id: id, user_type: 'employer' });
 
     if (!employer) {
         res.status(404);
         throw new Error('Employer not found');
     }
 
+    // Also removes their jobs, applications, ratings and uploaded files
+    await deleteUserAccount(employer);
+
     res.status(200).json({ message: 'Employer deleted successfully', id });
 });
 
@@ -123,10 +198,6 @@ const deleteEmployer = asyncHandler(async (req, res) => {
 // @route   GET /api/admin/laborers
 // @access  Private/Admin
 const getLaborers = asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
     let query = { user_type: 'laborer' };
 
     if (req.query.search) {
@@ -138,19 +209,24 @@ const getLaborers = asyncHandler(async (req, res) => {
         ];
     }
 
+    const { page, limit, skip, pageQuery } = getAdminPage(req, res, query, 'admin:laborers');
+
     try {
         const totalLaborers = await User.countDocuments(query);
-        const laborers = await User.find(query)
+        const results = await User.find(pageQuery)
             .select('-password')
-            .sort({ createdAt: -1 })
+            .sort(ADMIN_LIST_SORT)
             .skip(skip)
-            .limit(limit);
+            .limit(limit + 1);
+        const { items: laborers, hasMore, nextCursor } = buildPage(results, limit, ADMIN_LIST_SORT, 'admin:laborers');
 
         res.status(200).json({
             laborers,
             currentPage: page,
             totalPages: Math.ceil(totalLaborers / limit),
-            totalLaborers
+            totalLaborers,
+            hasMore,
+            nextCursor
         });
     } catch (error) {
         console.error("Error fetching laborers for admin:", error);
@@ -182,21 +258,28 @@ const updateLaborer = asyncHandler(async (req, res) => {
     // Added password to destructured fields
     const { full_name, email, phone_number, bio, hourly_rate, is_available, skills, user_type, password } = req.body;
 
+    // Admin access only comes through roles (PUT /api/admin/users/:id/roles), which check roles:manage
+    // and two-factor authentication, so the account type cannot be changed here
+    if (user_type !== undefined && user_type !== 'laborer') {
+        res.status(400);
+        throw new Error('The account type cannot be changed.');
+    }
+
     const updateFields = {};
     if (full_name !== undefined) updateFields.full_name = full_name;
-    if (email !== undefined) updateFields.email = email;
-    if (phone_number !== undefined) updateFields.phone_number = phone_number;
+    if (email !== undefined) updateFields.email = String(email).trim();
+    const phoneNumber = parsePhoneNumberUpdate(res, phone_number);
+    if (phoneNumber !== undefined) updateFields.phone_number = phoneNumber;
     if (bio !== undefined) updateFields.bio = bio;
     if (hourly_rate !== undefined) updateFields.hourly_rate = parseFloat(hourly_rate); // Ensure number
     if (is_available !== undefined) updateFields.is_available = is_available; // Boolean
-    if (skills !== undefined) updateFields.skills = Array.isArray(skills) ? skills : skills.split(',').map(s => s.trim());
-    if (user_type !== undefined) updateFields.user_type = user_type;
 
     // Handle password update if provided
     if (password) {
         // Hash the new password
         const salt = await bcrypt.genSalt(10);
         updateFields.password = await bcrypt.hash(password, salt);
+        updateFields.password_changed_at = new Date();
     }
 
     const laborer = await User.findOne({ _id: id, user_type: 'laborer' });
@@ -206,12 +289,41 @@ const updateLaborer = asyncHandler(async (req, res) => {
         throw new Error('Laborer not found');
     }
 
+    // A different number or email address has to be confirmed again by its owner
+    if (phoneNumber !== undefined && phoneNumber !== (laborer.phone_number || null)) {
+        updateFields.phone_verified = false;
+    }
+    const emailChanged = updateFields.email !== undefined && updateFields.email !== laborer.email;
+    if (emailChanged) {
+        updateFields.email_verified = false;
+        updateFields.email_verified_at = null;
+    }
+
+    if (skills !== undefined) {
+        const normalisedSkills = await normaliseSkills(skills, { keepRetired: laborer.skill_ids });
+        updateFields.skills = normalisedSkills.names;
+        updateFields.skill_ids = normalisedSkills.ids;
+    }
+
     const updatedLaborer = await User.findByIdAndUpdate(
         id,
         { $set: updateFields },
         { new: true, runValidators: true }
     ).select('-password');
 
+    if (emailChanged) {
+        try {
+            await sendVerificationEmail(updatedLaborer);
+        } catch (mailError) {
+            console.error('Error sending verification email after an admin email change:', mailError);
+        }
+    }
+
+    // A password reset by an admin signs the laborer out everywhere
+    if (password) {
+        await Session.revokeAllForUser(id);
+    }
+
     res.status(200).json({ message: 'Laborer updated successfully', laborer: updatedLaborer });
 });
 
@@ -221,13 +333,16 @@ const updateLaborer = asyncHandler(async (req, res) => {
 const deleteLaborer = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const laborer = await User.findOneAndDelete({ _id: id, user_type: 'laborer' });
+    const laborer = await User.findOne({ _id: id, user_type: 'laborer' });
 
     if (!laborer) {
         res.status(404);
         throw new Error('Laborer not found');
     }
 
+    // Also removes their jobs, applications, ratings and uploaded files
+    await deleteUserAccount(laborer);
+
     res.status(200).json({ message: 'Laborer deleted successfully', id });
 });
 
@@ -237,10 +352,6 @@ const deleteLaborer = asyncHandler(async (req, res) => {
 // @route   GET /api/admin/jobs
 // @access  Private/Admin
 const getJobs = asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
     let query = {}; // Start with an empty query to get all jobs by default
 
     // Search functionality (e.g., by title, description, city)
@@ -264,19 +375,24 @@ const getJobs = asyncHandler(async (req, res) => {
         query.status = req.query.status;
     }
 
+    const { page, limit, skip, pageQuery } = getAdminPage(req, res, query, 'admin:jobs');
+
     try {
         const totalJobs = await Job.countDocuments(query);
-        const jobs = await Job.find(query)
+        const results = await Job.find(pageQuery)
             .populate('employer_id', 'company_name email') // Populate employer details
-            .sort({ createdAt: -1 }) // Sort by most recently created
+            .sort(ADMIN_LIST_SORT) // Sort by most recently created
             .skip(skip)
-            .limit(limit);
+            .limit(limit + 1);
+        const { items: jobs, hasMore, nextCursor } = buildPage(results, limit, ADMIN_LIST_SORT, 'admin:jobs');
 
         res.status(200).json({
             jobs,
             currentPage: page,
             totalPages: Math.ceil(totalJobs / limit),
-            totalJobs
+            totalJobs,
+            hasMore,
+            nextCursor
         });
     } catch (error) {
         console.error("Error fetching jobs for admin:", error);
@@ -365,9 +481,55 @@ const deleteJob = asyncHandler(async (req, res) => {
     // const Application = require('../models/Application');
     // await Application.deleteMany({ job_id: id });
 
+    await SavedJob.deleteMany({ job_id: id });
+    await JobAlert.deleteMany({ job_id: id });
+
     res.status(200).json({ message: 'Job deleted successfully', id });
 });
 
+// --- Account Security (Admin Only) ---
+
+// @desc    Force logout of a user by revoking all of their sessions (admin only)
+// @route   POST /api/admin/users/:id/revoke-sessions
+// @access  Private/Admin
+const revokeUserSessions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select('_id');
+
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+
+    const result = await Session.revokeAllForUser(id);
+
+    res.status(200).json({ message: 'User sessions revoked successfully', id, revokedSessions: result.modifiedCount });
+});
+
+// @desc    Unlock an account locked by too many failed logins (admin only)
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const user = await User.findByIdAndUpdate(
+        id,
+        {
+            $set: { failed_login_attempts: 0 },
+            $unset: { lock_until: '', last_failed_login_at: '' },
+        },
+        { new: true }
+    ).select('-password');
+
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+
+    res.status(200).json({ message: 'User account unlocked successfully', id });
+});
+
 
 module.exports = {
     getEmployers,
@@ -382,5 +544,7 @@ module.exports = {
     getJobs,
     getJobById,
     updateJob,
-    deleteJob
+    deleteJob,
+    revokeUserSessions,
+    unlockUser
 };
@@ -0,0 +1,76 @@
+// local-labor-backend/controllers/apiKeyController.js
+const ApiKey = require('../models/ApiKey');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const MAX_ACTIVE_KEYS = 20;
+
+// @desc    Create an API key for the logged-in employer (the key is only shown once)
+// @route   POST /api/api-keys
+// @access  Private (Employer)
+const createApiKey = asyncHandler(async (req, res) => {
+    const { name, scopes } = req.body;
+
+    if (!name || name.trim() === '') {
+        res.status(400);
+        throw new Error('Please give the API key a name.');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        res.status(400);
+        throw new Error(`Please select at least one scope (${ApiKey.SCOPES.join(', ')}).`);
+    }
+    const unknownScopes = scopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+        res.status(400);
+        throw new Error(`Unknown scope(s): ${unknownScopes.join(', ')}`);
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ employer_id: req.user._id, revoked_at: null });
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+        res.status(400);
+        throw new Error(`You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.`);
+    }
+
+    const { apiKey, key } = await ApiKey.generate(req.user._id, name.trim(), scopes);
+
+    res.status(201).json({
+        message: 'API key created. Copy it now, it will not be shown again.',
+        key,
+        apiKey,
+    });
+});
+
+// @desc    List the logged-in employer's API keys
+// @route   GET /api/api-keys
+// @access  Private (Employer)
+const getApiKeys = asyncHandler(async (req, res) => {
+    const apiKeys = await ApiKey.find({ employer_id: req.user._id })
+        .select('-key_hash')
+        .sort({ revoked_at: 1, createdAt: -1 });
+
+    res.status(200).json(apiKeys);
+});
+
+// @desc    Revoke one of the logged-in employer's API keys
+// @route   DELETE /api/api-keys/:id
+// @access  Private (Employer)
+const revokeApiKey = asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, employer_id: req.user._id });
+
+    if (!apiKey) {
+        res.status(404);
+        throw new Error('API key not found');
+    }
+
+    if (!apiKey.revoked_at) {
+        apiKey.revoked_at = new Date();
+        await apiKey.save();
+    }
+
+    res.status(200).json({ message: 'API key revoked successfully', id: apiKey._id });
+});
+
+module.exports = {
+    createApiKey,
+    getApiKeys,
+    revokeApiKey,
+};
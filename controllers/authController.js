@@ -0,0 +1,407 @@
+// local-labor-backend/controllers/authController.js
+const User = require('../models/User');
+const Session = require('../models/Session');
+const VerificationToken = require('../models/VerificationToken');
+const PhoneVerification = require('../models/PhoneVerification');
+const crypto = require('crypto');
+const asyncHandler = require('../middleware/asyncHandler');
+const { sendMail } = require('../utils/mailer');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { sendSms } = require('../utils/smsSender');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const PHONE_CODE_TTL_MINUTES = parseInt(process.env.PHONE_CODE_TTL_MINUTES) || 10;
+const PHONE_CODE_MAX_ATTEMPTS = parseInt(process.env.PHONE_CODE_MAX_ATTEMPTS) || 5;
+const PHONE_CODE_RESEND_SECONDS = 60;
+
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (requires a valid refresh token)
+const refreshAccessToken = asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        res.status(400);
+        throw new Error('Refresh token is required.');
+    }
+
+    const session = await Session.findActiveByRefreshToken(refreshToken);
+    if (!session) {
+        res.status(401);
+        throw new Error('Invalid or expired refresh token. Please log in again.');
+    }
+
+    const user = await User.findById(session.user_id).select('-password');
+    if (!user) {
+        await session.revoke();
+        res.status(401);
+        throw new Error('User no longer exists.');
+    }
+
+    const newRefreshToken = await session.rotateRefreshToken();
+
+    res.status(200).json({
+        token: user.generateAuthToken(session._id),
+        refreshToken: newRefreshToken,
+    });
+});
+
+// @desc    Log out of the current device by revoking its session
+// @route   POST /api/auth/logout
+// @access  Public (requires the refresh token being logged out)
+const logoutUser = asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        res.status(400);
+        throw new Error('Refresh token is required.');
+    }
+
+    const session = await Session.findActiveByRefreshToken(refreshToken);
+    if (session) {
+        await session.revoke();
+    }
+
+    // Respond the same way whether or not the session was still active
+    res.status(200).json({ message: 'Logged out successfully' });
+});
+
+// @desc    Log out of all devices by revoking every session of the user
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllDevices = asyncHandler(async (req, res) => {
+    const result = await Session.revokeAllForUser(req.user._id);
+
+    res.status(200).json({ message: 'Logged out of all devices', revokedSessions: result.modifiedCount });
+});
+
+// @desc    List the active sessions (signed-in devices) of the logged-in user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getMySessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user_id: req.user._id,
+        revoked_at: null,
+        expires_at: { $gt: new Date() },
+    })
+        .select('user_agent ip_address last_used_at createdAt expires_at')
+        .sort({ last_used_at: -1 })
+        .lean();
+
+    const currentSessionId = req.authSession._id.toString();
+    res.status(200).json(sessions.map(session => ({
+        ...session,
+        is_current: session._id.toString() === currentSessionId,
+    })));
+});
+
+// @desc    Revoke one of the logged-in user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+    const session = await Session.findOne({ _id: req.params.id, user_id: req.user._id });
+
+    if (!session) {
+        res.status(404);
+        throw new Error('Session not found');
+    }
+
+    await session.revoke();
+
+    res.status(200).json({ message: 'Session revoked successfully', id: session._id });
+});
+
+// @desc    Send a password reset link to the account's email address
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const requestPasswordReset = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        res.status(400);
+        throw new Error('Email is required.');
+    }
+
+    const user = await User.findOne({ email: email.trim() });
+
+    // Only send mail for real accounts, but never reveal which emails are registered
+    if (user) {
+        const token = await VerificationToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+        const resetUrl = `${CLIENT_URL}/reset-password?token=${token}`;
+
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hi ${user.full_name},\n\nUse the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`,
+        });
+    }
+
+    res.status(200).json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+});
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires a valid reset token)
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password || password.trim() === '') {
+        res.status(400);
+        throw new Error('Reset token and new password are required.');
+    }
+
+    const resetToken = await VerificationToken.consume(token, 'password_reset');
+    if (!resetToken) {
+        res.status(400);
+        throw new Error('Invalid or expired password reset token.');
+    }
+
+    const user = await User.findById(resetToken.user_id);
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Whoever had access with the old password is signed out everywhere
+    await Session.revokeAllForUser(user._id);
+
+    res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+});
+
+// @desc    Confirm an email address using the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public (requires a valid verification token)
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        res.status(400);
+        throw new Error('Verification token is required.');
+    }
+
+    const verificationToken = await VerificationToken.consume(token, 'email_verification');
+    if (!verificationToken) {
+        res.status(400);
+        throw new Error('Invalid or expired verification token.');
+    }
+
+    const user = await User.findById(verificationToken.user_id);
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+
+    user.email_verified = true;
+    user.email_verified_at = new Date();
+    await user.save();
+
+    res.status(200).json({ message: 'Email address verified successfully', email_verified: true });
+});
+
+// @desc    Send a new verification email to the logged-in user
+// @route   POST /api/auth/resend-verification
+// @access  Private (rate limited)
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+    if (!req.user.needsEmailVerification()) {
+        res.status(400);
+        throw new Error('Email address is already verified.');
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({ message: 'Verification email sent' });
+});
+
+// @desc    Text a one-time code to the logged-in user's phone number
+// @route   POST /api/auth/phone/send-code
+// @access  Private (rate limited)
+const sendPhoneVerificationCode = asyncHandler(async (req, res) => {
+    const user = req.user;
+
+    if (!user.phone_number) {
+        res.status(400);
+        throw new Error('Add a phone number to your profile before verifying it.');
+    }
+    if (user.phone_verified) {
+        res.status(400);
+        throw new Error('Phone number is already verified.');
+    }
+
+    const existing = await PhoneVerification.findOne({ user_id: user._id });
+    if (existing && Date.now() - existing.createdAt.getTime() < PHONE_CODE_RESEND_SECONDS * 1000) {
+        res.status(429);
+        throw new Error(`Please wait ${PHONE_CODE_RESEND_SECONDS} seconds before requesting another code.`);
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    // Replace any earlier code so only the latest one works
+    await PhoneVerification.deleteMany({ user_id: user._id });
+    await PhoneVerification.create({
+        user_id: user._id,
+        phone_number: user.phone_number,
+        code_hash: PhoneVerification.hashCode(user._id, code),
+        expires_at: new Date(Date.now() + PHONE_CODE_TTL_MINUTES * 60 * 1000),
+    });
+
+    await sendSms({
+        to: user.phone_number,
+        body: `Your GeoJob verification code is ${code}. It expires in ${PHONE_CODE_TTL_MINUTES} minutes.`,
+    });
+
+    res.status(200).json({ message: 'Verification code sent', expiresInMinutes: PHONE_CODE_TTL_MINUTES });
+});
+
+// @desc    Confirm the logged-in user's phone number with the code sent by SMS
+// @route   POST /api/auth/phone/verify
+// @access  Private
+const verifyPhoneNumber = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!code) {
+        res.status(400);
+        throw new Error('Verification code is required.');
+    }
+
+    const verification = await PhoneVerification.findOne({ user_id: user._id });
+
+    // The code only counts for the number it was sent to
+    if (!verification || verification.expires_at <= new Date() || verification.phone_number !== user.phone_number) {
+        res.status(400);
+        throw new Error('Verification code has expired. Please request a new one.');
+    }
+
+    // Use up an attempt before comparing, in one conditional update, so parallel guesses cannot
+    // get more than PHONE_CODE_MAX_ATTEMPTS tries between them
+    const attempt = await PhoneVerification.findOneAndUpdate(
+        { _id: verification._id, attempts: { $lt: PHONE_CODE_MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!attempt) {
+        res.status(429);
+        throw new Error('Too many incorrect attempts. Please request a new code.');
+    }
+
+    if (!attempt.matches(String(code).trim())) {
+        res.status(400);
+        throw new Error(`Incorrect verification code. ${PHONE_CODE_MAX_ATTEMPTS - attempt.attempts} attempt(s) left.`);
+    }
+
+    await attempt.deleteOne();
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { phone_verified: true, phone_verified_at: new Date() } }
+    );
+
+    res.status(200).json({ message: 'Phone number verified successfully', phone_verified: true });
+});
+
+// @desc    Start setting up two-factor authentication (returns the secret and QR payload)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Employer/Admin)
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (user.two_factor_enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is already enabled.');
+    }
+
+    const { secret, otpauthUrl } = await user.startTwoFactorEnrollment();
+
+    res.status(200).json({ secret, otpauthUrl });
+});
+
+// @desc    Confirm two-factor setup with a code from the authenticator app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private (Employer/Admin)
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (user.two_factor_enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is already enabled.');
+    }
+
+    const recoveryCodes = await user.confirmTwoFactorEnrollment(req.body.code);
+    if (!recoveryCodes) {
+        res.status(400);
+        throw new Error('Invalid authentication code. Check the time on your device and try again.');
+    }
+
+    res.status(200).json({ message: 'Two-factor authentication enabled', recoveryCodes });
+});
+
+// @desc    Turn off two-factor authentication (password and a current code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private (Employer)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (user.requiresTwoFactor()) {
+        res.status(403);
+        throw new Error('Two-factor authentication is mandatory for admin accounts and accounts with back-office roles.');
+    }
+    if (!user.two_factor_enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is not enabled.');
+    }
+    if (!password || !(await user.comparePassword(password))) {
+        res.status(401);
+        throw new Error('Incorrect password');
+    }
+    if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+        res.status(401);
+        throw new Error('Invalid authentication code');
+    }
+
+    await user.disableTwoFactor();
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+});
+
+// @desc    Replace the recovery codes (a current authenticator code is required)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private (Employer/Admin)
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (!user.two_factor_enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is not enabled.');
+    }
+    if (!(await user.verifySecondFactor({ code: req.body.code }))) {
+        res.status(401);
+        throw new Error('Invalid authentication code');
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({ recoveryCodes });
+});
+
+module.exports = {
+    refreshAccessToken,
+    logoutUser,
+    logoutAllDevices,
+    getMySessions,
+    revokeSession,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
+    sendPhoneVerificationCode,
+    verifyPhoneNumber,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+};
@@ -0,0 +1,178 @@
+// local-labor-backend/controllers/categoryController.js
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Job = require('../models/Job');
+const asyncHandler = require('../middleware/asyncHandler');
+
+// Nest a flat list of categories under their parents, siblings ordered by sort_order then name.
+// With jobCounts (category id -> number of jobs), every node gets its own count (direct_job_count)
+// and the count including all its subcategories (job_count).
+const buildCategoryTree = (categories, jobCounts) => {
+    const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent_id && nodes.get(node.parent_id.toString());
+        if (parent) parent.children.push(node);
+        else if (!node.parent_id) roots.push(node);
+        // Children of a category left out of the list (e.g. an inactive one) are left out too
+    }
+
+    const finish = (siblings) => {
+        siblings.sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name));
+        for (const node of siblings) {
+            finish(node.children);
+            if (jobCounts) {
+                node.direct_job_count = jobCounts.get(node._id.toString()) || 0;
+                node.job_count = node.children.reduce((sum, child) => sum + child.job_count, node.direct_job_count);
+            }
+        }
+        return siblings;
+    };
+    return finish(roots);
+};
+
+// Open (Active, deadline not passed) jobs per category
+const countOpenJobsByCategory = async () => {
+    const counts = await Job.aggregate([
+        { $match: { status: 'Active', category_id: { $ne: null }, application_deadline: { $not: { $lte: new Date() } } } },
+        { $group: { _id: '$category_id', count: { $sum: 1 } } },
+    ]);
+    return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+// @desc    Get the active category tree (?counts=true adds open job counts for the browse screen)
+// @route   GET /api/categories
+// @access  Public
+const getCategories = asyncHandler(async (req, res) => {
+    const categories = await Category.find({ is_active: true }).lean();
+    const jobCounts = req.query.counts === 'true' ? await countOpenJobsByCategory() : null;
+    res.status(200).json(buildCategoryTree(categories, jobCounts));
+});
+
+// @desc    Get the full category tree, inactive categories included, with open job counts
+// @route   GET /api/admin/categories
+// @access  Private (categories:manage)
+const getAllCategories = asyncHandler(async (req, res) => {
+    const categories = await Category.find({}).lean();
+    res.status(200).json(buildCategoryTree(categories, await countOpenJobsByCategory()));
+});
+
+// Checks a new or changed name and returns it with its slug; throws a 400 if a sibling already has it
+const checkCategoryName = async (res, name, parentId, excludeId = null) => {
+    if (!name || String(name).trim() === '') {
+        res.status(400);
+        throw new Error('Please add a category name.');
+    }
+    const slug = Category.slugify(name);
+    if (!slug) {
+        res.status(400);
+        throw new Error('The category name needs at least one letter or number.');
+    }
+    const clash = await Category.findOne({ parent_id: parentId || null, slug, _id: { $ne: excludeId } });
+    if (clash) {
+        res.status(400);
+        throw new Error(`A category named "${clash.name}" already exists here.`);
+    }
+    return { name: String(name).trim(), slug };
+};
+
+// @desc    Create a category, optionally under a parent (parent_id)
+// @route   POST /api/admin/categories
+// @access  Private (categories:manage)
+const createCategory = asyncHandler(async (req, res) => {
+    const { name, description, parent_id } = req.body;
+
+    let parent = null;
+    if (parent_id) {
+        parent = mongoose.Types.ObjectId.isValid(parent_id) ? await Category.findById(parent_id) : null;
+        if (!parent) {
+            res.status(404);
+            throw new Error('Parent category not found');
+        }
+        if (parent.ancestors.length + 1 >= Category.MAX_CATEGORY_DEPTH) {
+            res.status(400);
+            throw new Error(`Categories can be nested at most ${Category.MAX_CATEGORY_DEPTH} levels deep.`);
+        }
+    }
+
+    const checked = await checkCategoryName(res, name, parent ? parent._id : null);
+
+    // New categories go to the end of their siblings
+    const lastSibling = await Category.findOne({ parent_id: parent ? parent._id : null }).sort({ sort_order: -1 });
+
+    const category = await Category.create({
+        ...checked,
+        description,
+        parent_id: parent ? parent._id : null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : [],
+        sort_order: lastSibling ? lastSibling.sort_order + 1 : 0,
+    });
+
+    res.status(201).json(category);
+});
+
+// @desc    Rename, describe, activate or deactivate a category
+// @route   PUT /api/admin/categories/:id
+// @access  Private (categories:manage)
+const updateCategory = asyncHandler(async (req, res) => {
+    const { name, description, is_active } = req.body;
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Category not found');
+    }
+
+    if (name !== undefined) {
+        const checked = await checkCategoryName(res, name, category.parent_id, category._id);
+        category.name = checked.name;
+        category.slug = checked.slug;
+    }
+    if (description !== undefined) category.description = description;
+    if (is_active !== undefined) {
+        // Existing jobs keep an inactive category; it just cannot be chosen for new ones
+        category.is_active = is_active === true || is_active === 'true';
+    }
+
+    const updatedCategory = await category.save();
+    res.status(200).json(updatedCategory);
+});
+
+// @desc    Reorder the children of a category (or the top level without parent_id). ids lists
+//          every sibling in the new order.
+// @route   PUT /api/admin/categories/reorder
+// @access  Private (categories:manage)
+const reorderCategories = asyncHandler(async (req, res) => {
+    const { parent_id, ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+        res.status(400);
+        throw new Error('Please send the category ids in their new order.');
+    }
+    if (parent_id && !mongoose.Types.ObjectId.isValid(parent_id)) {
+        res.status(400);
+        throw new Error('Invalid parent_id.');
+    }
+
+    const siblings = await Category.find({ parent_id: parent_id || null }).select('_id');
+    const siblingIds = new Set(siblings.map(sibling => sibling._id.toString()));
+    const orderedIds = ids.map(id => String(id));
+    if (new Set(orderedIds).size !== orderedIds.length || orderedIds.length !== siblingIds.size || !orderedIds.every(id => siblingIds.has(id))) {
+        res.status(400);
+        throw new Error('ids must list every category at this level exactly once.');
+    }
+
+    await Category.bulkWrite(orderedIds.map((id, index) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { sort_order: index } } },
+    })));
+
+    res.status(200).json({ message: 'Categories reordered', ids: orderedIds });
+});
+
+module.exports = {
+    getCategories,
+    getAllCategories,
+    createCategory,
+    updateCategory,
+    reorderCategories,
+};
@@ -1,18 +1,24 @@
 const Job = require('../models/Job');
 const Application = require('../models/Application'); // Ensure Application model is imported
+const User = require('../models/User');
+const JobTemplate = require('../models/JobTemplate');
+const SavedJob = require('../models/SavedJob');
+const JobAlert = require('../models/JobAlert');
+const Category = require('../models/Category');
 const asyncHandler = require('../middleware/asyncHandler');
-const NodeGeocoder = require('node-geocoder');
+const { distanceInMeters, distanceExpression, hasCoordinates, isLongitude, isLatitude, parseBoundingBox, parsePolygon, viewportCondition, EARTH_RADIUS_METERS } = require('../utils/geo');
+const { copyJobImage } = require('../utils/jobImages');
+const { geocodeAddress, geocodeFirst, reverseGeocode, normaliseAddress } = require('../utils/geocoder');
+const { parseSkillList, resolveSkills, normaliseSkills } = require('../utils/skills');
+const { queueJobAlerts } = require('../utils/jobAlerts');
+const { scoreJobForLaborer } = require('../utils/recommendations');
+const { withTieBreaker, decodeCursor, cursorCondition, buildPage } = require('../utils/pagination');
+const { isValidDate, expandShifts, findOverlap, parseSchedule, worksOnDateCondition, thisWeekendDates } = require('../utils/shifts');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-// Configure Node Geocoder (unchanged)
-const options = {
-    provider: 'openstreetmap',
-    formatter: null
-};
-const geocoder = NodeGeocoder(options);
-
 // --- Multer Configuration for Job Image Uploads (Existing) ---
 const jobImageStorage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -80,93 +86,408 @@ const uploadApplicationDocs = multer({
     { name: 'coverLetter', maxCount: 1 }
 ]);
 
+// Adds viewer-specific fields to job listings when someone is logged in:
+// hasApplied and isSaved for laborers, and distance (meters) from the viewer's saved location.
+const personalizeJobs = async (jobs, user) => {
+    if (!user || jobs.length === 0) {
+        return jobs;
+    }
+
+    let appliedJobIds = new Set();
+    let savedJobIds = new Set();
+    if (user.user_type === 'laborer') {
+        const jobIds = jobs.map(job => job._id);
+        const [appliedIds, savedIds] = await Promise.all([
+            Application.find({ applicant_id: user._id, job_id: { $in: jobIds } }).distinct('job_id'),
+            SavedJob.find({ user_id: user._id, job_id: { $in: jobIds } }).distinct('job_id'),
+        ]);
+        appliedJobIds = new Set(appliedIds.map(id => id.toString()));
+        savedJobIds = new Set(savedIds.map(id => id.toString()));
+    }
+
+    const viewerLocation = hasCoordinates(user.current_location) ? user.current_location.coordinates : null;
+
+    return jobs.map(job => {
+        const personalized = job.toObject ? job.toObject() : { ...job };
+        personalized.hasApplied = appliedJobIds.has(job._id.toString());
+        personalized.isSaved = savedJobIds.has(job._id.toString());
+        // Geo searches already carry the distance from the searched point
+        if (personalized.distance === undefined && viewerLocation && hasCoordinates(job.location)) {
+            personalized.distance = Math.round(distanceInMeters(viewerLocation, job.location.coordinates));
+        }
+        return personalized;
+    });
+};
+
+// A requested publish time as a Date, or null unless it lies in the future
+const parseFuturePublishAt = (publish_at) => {
+    const publishAt = new Date(publish_at);
+    return isNaN(publishAt.getTime()) || publishAt <= new Date() ? null : publishAt;
+};
+
+// Requested headcount as a whole number >= 1, undefined when not sent, or null when invalid
+const parsePositionsTotal = (positions_total) => {
+    if (positions_total === undefined || positions_total === '') return undefined;
+    const positions = Number(positions_total);
+    return Number.isInteger(positions) && positions >= 1 ? positions : null;
+};
+
+// Request fields that were actually sent, so they can override template values
+const pickProvided = (body) => Object.fromEntries(
+    Object.entries(body).filter(([, value]) => value !== undefined && value !== '')
+);
+
+// Only the employer who owns a job (or an admin) may see it before it is published
+const canViewUnpublishedJob = (job, user) => Boolean(
+    user && (user.user_type === 'admin' || (job.employer_id._id || job.employer_id).toString() === user._id.toString())
+);
+
+// The category a job is filed under. It must exist and be active along with its parents, and jobs go
+// on the most specific level, so a category with active subcategories cannot be picked.
+// Returns { category } or { error } with a message for the client.
+const findAssignableCategory = async (categoryId) => {
+    const category = mongoose.Types.ObjectId.isValid(categoryId) ? await Category.findById(categoryId) : null;
+    if (!category) return { error: 'Please choose a valid job category.' };
+
+    const inactiveParent = category.ancestors.length > 0
+        && await Category.exists({ _id: { $in: category.ancestors }, is_active: false });
+    if (!category.is_active || inactiveParent) {
+        return { error: `The category "${category.name}" is no longer available. Please choose another one.` };
+    }
+    if (await Category.exists({ parent_id: category._id, is_active: true })) {
+        return { error: `Please choose a subcategory of "${category.name}".` };
+    }
+    return { category };
+};
+
+// A map pin sent as latitude/longitude: { coordinates } ([longitude, latitude]) when both are
+// valid, {} when neither was sent, or { error }
+const parsePin = ({ latitude, longitude }) => {
+    const sent = [latitude, longitude].filter(value => value !== undefined && value !== null && String(value).trim() !== '');
+    if (sent.length === 0) return {};
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (sent.length !== 2 || !isLatitude(lat) || !isLongitude(lng)) {
+        return { error: 'Please send both latitude (-90 to 90) and longitude (-180 to 180) for the job location.' };
+    }
+    return { coordinates: [lng, lat] };
+};
+
+// How far a map pin may be from the centre of the city typed with it
+const PIN_CITY_MAX_METERS = parseInt(process.env.PIN_CITY_MAX_METERS) || 50000;
+
+// Whether a city typed together with a map pin is where the pin is: the same name as the
+// reverse-geocoded place, or a city centre close to the pin. Returns the pin's city as `pinCity`
+// when they disagree, and agrees when neither lookup can tell (e.g. the provider is down).
+const checkPinCity = async (pin, city, place) => {
+    if (place.status === 'found' && place.city && normaliseAddress(place.city) === normaliseAddress(city)) {
+        return { matches: true };
+    }
+    const typed = await geocodeAddress(city);
+    if (typed.status === 'found') {
+        return distanceInMeters(pin, typed.location.coordinates) <= PIN_CITY_MAX_METERS
+            ? { matches: true }
+            : { matches: false, pinCity: place.status === 'found' ? place.city : null };
+    }
+    return place.status === 'found' && place.city ? { matches: false, pinCity: place.city } : { matches: true };
+};
+
+// Give a job its location, after job.city and job.address are set. Resolves to {} or, when a pin
+// and the city typed with it are in different places, { error } without touching the job.
+// - A pin is kept exactly where it was dropped; reverse geocoding fills in the address text and,
+//   unless the employer typed one in this request, the city.
+// - A job copied from a template or an earlier job reuses the source's location while the city
+//   and address stay the same.
+// - Otherwise the address and city are geocoded. A lookup that fails leaves the job
+//   pending/failed (see Job.applyGeocodeResult) without coordinates.
+const setJobLocation = async (job, { pin, cityProvided = false, source } = {}) => {
+    if (pin) {
+        const place = await reverseGeocode(pin);
+        const found = place.status === 'found';
+        if (cityProvided) {
+            const { matches, pinCity } = await checkPinCity(pin, job.city, place);
+            if (!matches) {
+                return { error: pinCity
+                    ? `The map pin is in ${pinCity}, not ${job.city}. Please move the pin or correct the city.`
+                    : `The map pin is not in ${job.city}. Please move the pin or correct the city.` };
+            }
+        } else if (found) {
+            job.city = place.city;
+        }
+        job.applyGeocodeResult({
+            status: 'found',
+            location: { type: 'Point', coordinates: pin, address_text: (found && place.address_text) || job.address || job.city, pinned: true },
+        });
+        return {};
+    }
+
+    const sameCity = source && source.city && job.city && job.city.trim().toLowerCase() === source.city.trim().toLowerCase();
+    const sameAddress = (job.address || null) === (source && source.address ? source.address : null);
+    if (sameCity && sameAddress && hasCoordinates(source.location)) {
+        const { type, coordinates, address_text, pinned } = source.location;
+        job.applyGeocodeResult({ status: 'found', location: { type, coordinates: [...coordinates], address_text, pinned } });
+        return {};
+    }
+    job.applyGeocodeResult(await geocodeFirst(job.geocodeQueries()));
+    return {};
+};
+
+// Removes the image uploaded with a request that is rejected
+const discardUpload = (req) => {
+    if (req.file) {
+        fs.unlink(req.file.path, (err) => {
+            if (err) console.error("Error deleting uploaded job image:", err);
+        });
+    }
+};
 
-// @desc    Create a new job posting
+// @desc    Create a new job posting (published now, scheduled via publish_at, or saved as a draft).
+//          With template_id, fields not sent are filled in from the employer's saved template.
+//          The location is a map pin (latitude/longitude) or the geocoded address and city.
 // @route   POST /api/jobs
 // @access  Private (Employer/Admin only)
 const createJob = asyncHandler(async (req, res) => {
-    const { title, description, job_type, city, pay_rate_min, pay_rate_max, pay_type, application_deadline, required_skills } = req.body;
+    let template = null;
+    if (req.body.template_id) {
+        template = await JobTemplate.findOne({ _id: req.body.template_id, employer_id: req.user._id });
+        if (!template) {
+            discardUpload(req);
+            res.status(404);
+            throw new Error('Job template not found');
+        }
+    }
 
-    const image_url = req.file ? `/uploads/job_images/${req.file.filename}` : DEFAULT_JOB_IMAGE_PATH;
+    const fields = template ? { ...template.toJobFields(), ...pickProvided(req.body) } : req.body;
+    const { title, description, job_type, category_id, city, address, pay_rate_min, pay_rate_max, pay_type, application_deadline, required_skills, publish_at, positions_total, start_date, end_date, timezone, shifts } = fields;
+    const isDraft = req.body.status === 'Draft';
 
-    if (!title || !description || !job_type || !city || !pay_rate_min || !pay_rate_max || !pay_type) {
-        if (req.file) {
-            fs.unlink(req.file.path, (err) => {
-                if (err) console.error("Error deleting partially uploaded job image:", err);
-            });
-        }
+    if (req.body.status && !['Draft', 'Scheduled', 'Active'].includes(req.body.status)) {
+        discardUpload(req);
         res.status(400);
-        throw new Error('Please fill in all required job fields (title, description, job type, city, pay rates, pay type).');
+        throw new Error('A new job can only be created as Draft, Scheduled or Active.');
     }
 
-    let geoCoordinates = [0, 0]; // Default coordinates if geocoding fails
-    let formattedAddress = city; // Default to the input city
+    const { coordinates: pin, error: pinError } = parsePin(req.body);
+    if (pinError) {
+        discardUpload(req);
+        res.status(400);
+        throw new Error(pinError);
+    }
 
-    try {
-        const geoResults = await geocoder.geocode(city);
-
-        if (geoResults && geoResults.length > 0) {
-            geoCoordinates = [geoResults[0].longitude, geoResults[0].latitude];
-            if (geoResults[0].formattedAddress) {
-                formattedAddress = geoResults[0].formattedAddress;
-            } else if (geoResults[0].city && geoResults[0].country) {
-                formattedAddress = `${geoResults[0].city}, ${geoResults[0].country}`;
-            }
-        } else {
-            // Geocoding found no results, proceed with default coordinates
+    // Drafts only need a title so the employer can find them again
+    if (isDraft ? !title : (!title || !description || !job_type || !(city || pin) || !pay_rate_min || !pay_rate_max || !pay_type)) {
+        discardUpload(req);
+        res.status(400);
+        throw new Error(isDraft
+            ? 'Please give the draft a title.'
+            : 'Please fill in all required job fields (title, description, job type, category, city or map location, pay rates, pay type).');
+    }
+    if (!isDraft && !category_id) {
+        discardUpload(req);
+        res.status(400);
+        throw new Error('Please choose a job category.');
+    }
+    let category = null;
+    if (category_id) {
+        const found = await findAssignableCategory(category_id);
+        if (found.error) {
+            discardUpload(req);
+            res.status(400);
+            throw new Error(found.error);
         }
-    } catch (geoError) {
-        // Geocoding service error, proceed with default coordinates
-        console.error('Geocoding service error during job creation:', geoError);
+        category = found.category;
     }
 
-    const location = {
-        type: "Point",
-        coordinates: geoCoordinates,
-        address_text: formattedAddress
-    };
+    const skills = await normaliseSkills(required_skills);
+
+    const positionsTotal = parsePositionsTotal(positions_total);
+    if (positionsTotal === null) {
+        discardUpload(req);
+        res.status(400);
+        throw new Error('Number of positions must be a whole number of at least 1.');
+    }
+
+    const { schedule, error: scheduleError } = parseSchedule({ start_date, end_date, timezone, shifts });
+    if (scheduleError) {
+        discardUpload(req);
+        res.status(400);
+        throw new Error(scheduleError);
+    }
+
+    const publishAt = publish_at ? parseFuturePublishAt(publish_at) : null;
+    if ((publish_at || req.body.status === 'Scheduled') && !publishAt) {
+        discardUpload(req);
+        res.status(400);
+        throw new Error('Please provide a publish_at time in the future to schedule this job.');
+    }
+
+    let status = 'Active';
+    if (isDraft) status = 'Draft';
+    else if (publishAt) status = 'Scheduled';
 
-    const job = await Job.create({
+    // The template keeps its own image; the job gets a copy it can delete independently
+    let image_url = DEFAULT_JOB_IMAGE_PATH;
+    if (req.file) {
+        image_url = `/uploads/job_images/${req.file.filename}`;
+    } else if (template && template.image_url) {
+        image_url = await copyJobImage(template.image_url);
+    }
+
+    const job = new Job({
         employer_id: req.user._id,
         title,
         description,
         job_type,
+        category_id: category ? category._id : null,
         city,
-        location,
-        pay_rate_min: parseFloat(pay_rate_min),
-        pay_rate_max: parseFloat(pay_rate_max),
+        address: address || null,
+        pay_rate_min: pay_rate_min !== undefined && pay_rate_min !== '' ? parseFloat(pay_rate_min) : undefined,
+        pay_rate_max: pay_rate_max !== undefined && pay_rate_max !== '' ? parseFloat(pay_rate_max) : undefined,
         pay_type,
         application_deadline: application_deadline ? new Date(application_deadline).toISOString() : undefined,
-        required_skills: required_skills ? required_skills.split(',').map(s => s.trim()) : [],
+        required_skills: skills.names,
+        required_skill_ids: skills.ids,
+        positions_total: positionsTotal,
+        ...schedule,
         image_url,
-        status: 'Active',
+        status,
+        publish_at: publishAt,
     });
+    if (city || address || pin) {
+        const { error: locationError } = await setJobLocation(job, { pin, cityProvided: Boolean(city), source: template });
+        if (locationError) {
+            discardUpload(req);
+            res.status(400);
+            throw new Error(locationError);
+        }
+    }
+    if (!isDraft && !job.city) {
+        discardUpload(req);
+        res.status(400);
+        throw new Error('Could not work out the city for this map location. Please add the city.');
+    }
+    await job.save();
 
+    if (job.status === 'Active') queueJobAlerts(job._id);
     res.status(201).json(job);
 });
 
-// @desc    Get all job postings with filters and pagination
-// @route   GET /api/jobs
-// @access  Public
-const getAllJobs = asyncHandler(async (req, res) => {
-    let query = {};
-    let isGeospatialQuery = false;
+// Employer details and the fields returned for each job in aggregated listings
+const employerLookupStages = [
+    {
+        $lookup: {
+            from: 'users', // The collection name for the User model
+            localField: 'employer_id',
+            foreignField: '_id',
+            as: 'employer_id'
+        }
+    },
+    { $unwind: '$employer_id' }, // Deconstructs the array field from the input documents to output a document for each element.
+    {
+        $lookup: {
+            from: 'categories',
+            localField: 'category_id',
+            foreignField: '_id',
+            pipeline: [{ $project: { name: 1, slug: 1 } }],
+            as: 'category_id'
+        }
+    },
+    { $unwind: { path: '$category_id', preserveNullAndEmptyArrays: true } }, // Jobs without a category keep null
+    {
+        $project: { // Project only necessary fields for employer_id
+            'employer_id.full_name': 1,
+            'employer_id.company_name': 1,
+            'employer_id.email': 1,
+            'employer_id.profile_picture_url': 1,
+            title: 1,
+            description: 1,
+            job_type: 1,
+            category_id: { $ifNull: ['$category_id', null] },
+            city: 1,
+            address: 1,
+            location: 1,
+            pay_rate_min: 1,
+            pay_rate_max: 1,
+            pay_type: 1,
+            application_deadline: 1,
+            required_skills: 1,
+            required_skill_ids: 1,
+            image_url: 1,
+            status: 1,
+            posted_at: 1,
+            positions_total: 1,
+            positions_filled: 1,
+            start_date: 1,
+            end_date: 1,
+            timezone: 1,
+            shifts: 1,
+            positions_remaining: { $max: [{ $subtract: ['$positions_total', '$positions_filled'] }, 0] },
+            distance: 1, // Include distance in the output
+            score: 1 // Text relevance, only present for keyword searches
+        }
+    }
+];
+
+// Sort orders accepted by getAllJobs (?sort=)
+const SORT_OPTIONS = {
+    relevance: { score: -1, posted_at: -1 },
+    distance: { distance: 1, posted_at: -1 },
+    newest: { posted_at: -1 },
+    pay: { pay_rate_max: -1, posted_at: -1 },
+};
 
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10; // Default limit to 10 if not provided
-    const skip = (page - 1) * limit;
+// The requested map viewport (see utils/geo.js), or null when none was sent
+const hasViewport = (req) => Boolean(req.query.bbox || req.query.polygon);
+const getViewport = (req, res) => {
+    if (req.query.bbox && req.query.polygon) {
+        res.status(400);
+        throw new Error('Send either bbox or polygon, not both.');
+    }
+    if (req.query.bbox) {
+        const viewport = parseBoundingBox(req.query.bbox);
+        if (!viewport) {
+            res.status(400);
+            throw new Error('bbox must be minLng,minLat,maxLng,maxLat with valid coordinates.');
+        }
+        return viewport;
+    }
+    if (req.query.polygon) {
+        const viewport = parsePolygon(req.query.polygon);
+        if (!viewport) {
+            res.status(400);
+            throw new Error('polygon must be at least three lng,lat points separated by semicolons.');
+        }
+        return viewport;
+    }
+    return null;
+};
+
+// Filters shared by the public job listings (getAllJobs, getJobClusters): status, deadline, skills,
+// job type, city, working day, date posted, pay and the map viewport (?bbox= or ?polygon=).
+const buildJobListingQuery = async (req, res) => {
+    let query = {};
 
     // Build the base query/match conditions
     if (req.query.employerId) {
         query.employer_id = req.query.employerId;
     }
-    if (req.query.status) {
+    // Drafts and scheduled jobs are never listed publicly
+    if (req.query.status && !Job.UNPUBLISHED_STATUSES.includes(req.query.status)) {
         query.status = req.query.status;
+    } else {
+        query.status = { $nin: Job.UNPUBLISHED_STATUSES };
     }
+    // Jobs past their application deadline are hidden unless asked for (?includeExpired=true)
+    if (req.query.includeExpired !== 'true') {
+        query.application_deadline = { $not: { $lte: new Date() } };
+    }
+    // ?skills= takes catalogue names, aliases or ids and matches jobs needing any of those skills.
+    // Terms the catalogue does not know are ignored.
     if (req.query.skills) {
-        const skillsArray = req.query.skills.split(',').map(s => new RegExp(s.trim(), 'i'));
-        query.required_skills = { $in: skillsArray };
+        const { skills } = await resolveSkills(parseSkillList(req.query.skills), { includeRetired: true });
+        if (skills.length > 0) {
+            query.required_skill_ids = { $in: skills.map(skill => skill._id) };
+        }
     }
 
     if (req.query.jobType) {
@@ -178,6 +499,30 @@ const getAllJobs = asyncHandler(async (req, res) => {
         query.city = new RegExp(req.query.city, 'i');
     }
 
+    // ?category=id[,id] matches those categories and all their subcategories,
+    // unless ?includeSubcategories=false
+    if (req.query.category) {
+        const categoryIds = req.query.category.split(',').map(id => id.trim());
+        if (!categoryIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            res.status(400);
+            throw new Error('category must be one or more category ids separated by commas.');
+        }
+        const objectIds = categoryIds.map(id => new mongoose.Types.ObjectId(id));
+        query.category_id = {
+            $in: req.query.includeSubcategories === 'false' ? objectIds : await Category.withDescendantIds(objectIds)
+        };
+    }
+
+    // Jobs with work on a given day (?worksOn=YYYY-MM-DD) or on the coming weekend (?worksOn=weekend)
+    if (req.query.worksOn) {
+        const workDates = req.query.worksOn === 'weekend' ? thisWeekendDates() : [req.query.worksOn];
+        if (!workDates.every(isValidDate)) {
+            res.status(400);
+            throw new Error("worksOn must be a date as YYYY-MM-DD or 'weekend'.");
+        }
+        query.$and = [{ $or: workDates.map(date => worksOnDateCondition(date)) }];
+    }
+
     if (req.query.datePosted) {
         const now = new Date();
         let cutOffDate;
@@ -228,69 +573,116 @@ const getAllJobs = asyncHandler(async (req, res) => {
         }
     }
 
+    // Map viewport: a rectangle (?bbox=minLng,minLat,maxLng,maxLat) or polygon (?polygon=lng,lat;lng,lat;...)
+    const viewport = getViewport(req, res);
+    if (viewport) {
+        // In $and, as a viewport across the antimeridian is an $or of two boxes
+        query.$and = (query.$and || []).concat(viewportCondition('location.coordinates', viewport));
+    }
+
+    return query;
+};
+
+// @desc    Get all job postings with filters and pagination
+// @route   GET /api/jobs?q=&sort=relevance|distance|newest|pay&cursor=&bbox=|polygon=&category=
+// @access  Public (personalized when a valid token is sent)
+const getAllJobs = asyncHandler(async (req, res) => {
+    const query = await buildJobListingQuery(req, res);
+
+    // Pagination parameters: ?cursor= (from nextCursor) takes precedence over ?page=
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10; // Default limit to 10 if not provided
+    const skip = (page - 1) * limit;
+
+    // Keyword search (?q=) and location search (?lat=&long=&maxDistance=)
+    const keywords = req.query.q ? req.query.q.trim() : '';
+    let geoPoint = null;
+    let maxDistance = null;
+    if (req.query.long && req.query.lat && req.query.maxDistance) {
+        geoPoint = [parseFloat(req.query.long), parseFloat(req.query.lat)];
+        maxDistance = parseInt(req.query.maxDistance);
+    }
+    // $geoNear cannot be combined with a second geo filter on the same field
+    if (geoPoint && hasViewport(req)) {
+        res.status(400);
+        throw new Error('Search either around a point (lat, long, maxDistance) or inside a map viewport (bbox/polygon), not both.');
+    }
+
+    // Sorting: relevance (keyword searches), distance (location searches), newest or pay
+    const defaultSort = keywords ? 'relevance' : (geoPoint ? 'distance' : 'newest');
+    const sort = req.query.sort || defaultSort;
+    if (!SORT_OPTIONS[sort]) {
+        res.status(400);
+        throw new Error(`Invalid sort option. Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}.`);
+    }
+    if (sort === 'relevance' && !keywords) {
+        res.status(400);
+        throw new Error('Sorting by relevance requires a search keyword (q).');
+    }
+    if (sort === 'distance' && !geoPoint) {
+        res.status(400);
+        throw new Error('Sorting by distance requires a location (lat, long and maxDistance).');
+    }
+
+    const sortSpec = withTieBreaker(SORT_OPTIONS[sort]);
+    let cursorValues = null;
+    if (req.query.cursor) {
+        cursorValues = decodeCursor(req.query.cursor, sortSpec, `jobs:${sort}`);
+        if (!cursorValues) {
+            res.status(400);
+            throw new Error('Invalid cursor. Start again without a cursor.');
+        }
+    }
+    // With a cursor the page starts right after it; otherwise fall back to the page number.
+    // One extra item is fetched to tell whether another page follows.
+    const pageStages = cursorValues
+        ? [{ $match: cursorCondition(sortSpec, cursorValues) }, { $limit: limit + 1 }]
+        : [{ $skip: skip }, { $limit: limit + 1 }];
+
     try {
         let jobs = [];
         let total = 0;
 
-        // Check if it's a geospatial query
-        if (req.query.long && req.query.lat && req.query.maxDistance) {
-            isGeospatialQuery = true;
-            const longitude = parseFloat(req.query.long);
-            const latitude = parseFloat(req.query.lat);
-            const maxDistance = parseInt(req.query.maxDistance);
+        // Keyword search goes through the weighted text index. MongoDB does not allow
+        // $text inside $geoNear, so a keyword + location search filters the radius with
+        // $geoWithin instead and computes the distance itself.
+        let firstStages;
+        if (keywords) {
+            const textMatch = { $text: { $search: keywords }, ...query };
+            const extraFields = { score: { $meta: 'textScore' } };
+            if (geoPoint) {
+                textMatch['location.coordinates'] = {
+                    $geoWithin: { $centerSphere: [geoPoint, maxDistance / EARTH_RADIUS_METERS] }
+                };
+                extraFields.distance = distanceExpression('$location.coordinates', geoPoint);
+            }
+            firstStages = [{ $match: textMatch }, { $addFields: extraFields }];
+        } else if (geoPoint) {
+            firstStages = [{
+                $geoNear: {
+                    near: {
+                        type: "Point",
+                        coordinates: geoPoint
+                    },
+                    distanceField: "distance", // Output distance in meters
+                    maxDistance: maxDistance,
+                    spherical: true,
+                    // Apply other query filters here before $geoNear
+                    query: query // This applies all other filters to the documents before geoNear
+                }
+            }];
+        }
 
-            // Aggregation pipeline for geospatial query
+        if (firstStages) {
+            // Aggregation pipeline for keyword and/or geospatial queries
             const pipeline = [
-                {
-                    $geoNear: {
-                        near: {
-                            type: "Point",
-                            coordinates: [longitude, latitude]
-                        },
-                        distanceField: "distance", // Output distance in meters
-                        maxDistance: maxDistance,
-                        spherical: true,
-                        // Apply other query filters here before $geoNear
-                        query: query // This applies all other filters to the documents before geoNear
-                    }
-                },
-                // Sort by distance (default for $geoNear), then by posted_at if needed
-                { $sort: { distance: 1, posted_at: -1 } },
-                {
-                    $lookup: {
-                        from: 'users', // The collection name for the User model
-                        localField: 'employer_id',
-                        foreignField: '_id',
-                        as: 'employer_id'
-                    }
-                },
-                { $unwind: '$employer_id' }, // Deconstructs the array field from the input documents to output a document for each element.
-                {
-                    $project: { // Project only necessary fields for employer_id
-                        'employer_id.full_name': 1,
-                        'employer_id.company_name': 1,
-                        'employer_id.email': 1,
-                        'employer_id.profile_picture_url': 1,
-                        title: 1,
-                        description: 1,
-                        job_type: 1,
-                        city: 1,
-                        location: 1,
-                        pay_rate_min: 1,
-                        pay_rate_max: 1,
-                        pay_type: 1,
-                        application_deadline: 1,
-                        required_skills: 1,
-                        image_url: 1,
-                        status: 1,
-                        posted_at: 1,
-                        distance: 1 // Include distance in the output
-                    }
-                },
+                ...firstStages,
+                { $sort: sortSpec },
                 {
                     $facet: {
                         metadata: [{ $count: "total" }],
-                        data: [{ $skip: skip }, { $limit: limit }]
+                        // Employers are only looked up for the jobs on this page
+                        data: [...pageStages, ...employerLookupStages]
                     }
                 }
             ];
@@ -304,14 +696,19 @@ const getAllJobs = asyncHandler(async (req, res) => {
         } else {
             // Standard Mongoose find for non-geospatial queries
             total = await Job.countDocuments(query);
-            jobs = await Job.find(query)
+            const pageQuery = cursorValues ? { $and: [query, cursorCondition(sortSpec, cursorValues)] } : query;
+            jobs = await Job.find(pageQuery)
                 .populate('employer_id', 'full_name company_name email profile_picture_url')
-                .sort({ posted_at: -1 }) // Sort by posted_at for non-geo queries
-                .skip(skip)
-                .limit(limit);
+                .populate('category_id', 'name slug')
+                .sort(sortSpec)
+                .skip(cursorValues ? 0 : skip)
+                .limit(limit + 1);
         }
 
-        res.status(200).json({ jobs, total }); // Return both jobs and total count
+        const { items, hasMore, nextCursor } = buildPage(jobs, limit, sortSpec, `jobs:${sort}`);
+        jobs = await personalizeJobs(items, req.user);
+
+        res.status(200).json({ jobs, total, hasMore, nextCursor }); // Return both jobs and total count
     } catch (dbError) {
         console.error("MongoDB Query Error in getAllJobs:", dbError);
         // Provide more specific error messages for the frontend
@@ -320,25 +717,166 @@ const getAllJobs = asyncHandler(async (req, res) => {
                 message: 'Geospatial search error. Please ensure a 2dsphere index exists on the location.coordinates field in your MongoDB "jobs" collection and that your query is correctly structured.',
                 error: dbError.message
             });
+        } else if (dbError.message.includes('text index')) {
+            res.status(500).json({
+                message: 'Keyword search error. Please ensure the "job_text_search" text index exists on the MongoDB "jobs" collection.',
+                error: dbError.message
+            });
         } else {
             res.status(500).json({ message: 'Failed to fetch jobs due to a database error.', error: dbError.message });
         }
     }
 });
 
+const MAX_CLUSTER_ZOOM = 22;
+const MAX_CLUSTERS = 500;
+// Grid cells per 256px map tile, so markers are grouped roughly every 64 screen pixels
+const CLUSTER_CELLS_PER_TILE = 4;
+
+// @desc    Job markers for a map viewport, grouped into clusters for the zoom level
+//          (count, centroid and pay range per cluster). Takes the same filters as GET /api/jobs.
+// @route   GET /api/jobs/clusters?bbox=minLng,minLat,maxLng,maxLat|polygon=lng,lat;...&zoom=
+// @access  Public
+const getJobClusters = asyncHandler(async (req, res) => {
+    const query = await buildJobListingQuery(req, res);
+    if (!hasViewport(req)) {
+        res.status(400);
+        throw new Error('Please send the map viewport as bbox or polygon.');
+    }
+
+    const zoom = Number(req.query.zoom);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_CLUSTER_ZOOM) {
+        res.status(400);
+        throw new Error(`zoom must be a whole number from 0 to ${MAX_CLUSTER_ZOOM}.`);
+    }
+    const cellSize = 360 / (Math.pow(2, zoom) * CLUSTER_CELLS_PER_TILE); // degrees
+
+    const keywords = req.query.q ? req.query.q.trim() : '';
+    const match = keywords ? { $text: { $search: keywords }, ...query } : query;
+    const cellOf = (axis) => ({
+        $floor: { $divide: [{ $arrayElemAt: ['$location.coordinates', axis] }, cellSize] }
+    });
+
+    const [result] = await Job.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                clusters: [
+                    {
+                        $group: {
+                            _id: { x: cellOf(0), y: cellOf(1) },
+                            count: { $sum: 1 },
+                            lng: { $avg: { $arrayElemAt: ['$location.coordinates', 0] } },
+                            lat: { $avg: { $arrayElemAt: ['$location.coordinates', 1] } },
+                            pay_min: { $min: '$pay_rate_min' },
+                            pay_max: { $max: '$pay_rate_max' },
+                            pay_types: { $addToSet: '$pay_type' },
+                            job_id: { $first: '$_id' },
+                            title: { $first: '$title' },
+                        }
+                    },
+                    { $sort: { count: -1, '_id.x': 1, '_id.y': 1 } },
+                    { $limit: MAX_CLUSTERS },
+                ],
+            }
+        }
+    ]);
+
+    const clusters = result.clusters.map(cluster => {
+        const marker = {
+            count: cluster.count,
+            centroid: { type: 'Point', coordinates: [cluster.lng, cluster.lat] },
+            pay_range: { min: cluster.pay_min, max: cluster.pay_max, pay_types: cluster.pay_types },
+        };
+        // A cluster of one is a plain job marker the client can link straight to
+        if (cluster.count === 1) marker.job = { _id: cluster.job_id, title: cluster.title };
+        return marker;
+    });
+
+    res.status(200).json({
+        zoom,
+        cell_size: cellSize,
+        total: result.total[0] ? result.total[0].count : 0,
+        truncated: result.clusters.length === MAX_CLUSTERS,
+        clusters,
+    });
+});
+
+const RECOMMENDATION_CANDIDATE_LIMIT = 500;
+const DEFAULT_RECOMMENDATION_RADIUS = 50000; // meters
+const MAX_RECOMMENDATION_RADIUS = 500000; // meters
+
+// @desc    Recommended jobs for the logged-in laborer, scored on skills, distance, pay and recency
+// @route   GET /api/jobs/recommended?limit=&maxDistance=
+// @access  Private (Laborer)
+const getRecommendedJobs = asyncHandler(async (req, res) => {
+    const laborer = req.user;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    let maxDistance = DEFAULT_RECOMMENDATION_RADIUS;
+    if (req.query.maxDistance !== undefined && req.query.maxDistance !== '') {
+        maxDistance = Number(req.query.maxDistance);
+        if (!Number.isFinite(maxDistance) || maxDistance <= 0) {
+            res.status(400);
+            throw new Error('maxDistance must be a positive number of meters.');
+        }
+        maxDistance = Math.min(maxDistance, MAX_RECOMMENDATION_RADIUS);
+    }
+    const now = new Date();
+
+    const appliedJobIds = await Application.find({ applicant_id: laborer._id }).distinct('job_id');
+    const query = {
+        status: 'Active',
+        application_deadline: { $not: { $lte: now } },
+        _id: { $nin: appliedJobIds },
+    };
+    // With a saved location only jobs within reach are considered
+    if (hasCoordinates(laborer.current_location)) {
+        query['location.coordinates'] = {
+            $geoWithin: { $centerSphere: [laborer.current_location.coordinates, maxDistance / EARTH_RADIUS_METERS] }
+        };
+    }
+
+    const candidates = await Job.find(query)
+        .populate('employer_id', 'full_name company_name profile_picture_url')
+        .populate('category_id', 'name slug')
+        .sort({ posted_at: -1 })
+        .limit(RECOMMENDATION_CANDIDATE_LIMIT);
+
+    const recommendations = candidates
+        .map(job => ({ job, ...scoreJobForLaborer(job, laborer, { maxDistance, now }) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    res.status(200).json({
+        jobs: recommendations,
+        basedOn: {
+            skills: laborer.skills || [],
+            hourly_rate: laborer.hourly_rate || null,
+            has_location: hasCoordinates(laborer.current_location),
+            max_distance: maxDistance,
+        },
+    });
+});
+
+const UPCOMING_SHIFTS_LIMIT = 5;
+
 // @desc    Get a single job by ID
 // @route   GET /api/jobs/:id
-// @access  Public
+// @access  Public (personalized when a valid token is sent)
 const getJobById = asyncHandler(async (req, res) => {
     const job = await Job.findById(req.params.id)
-        .populate('employer_id', 'full_name company_name email profile_picture_url');
+        .populate('employer_id', 'full_name company_name email profile_picture_url')
+        .populate('category_id', 'name slug ancestors');
 
-    if (!job) {
+    // Unpublished jobs look like they do not exist to everyone but their employer
+    if (!job || (!job.isPublished() && !canViewUnpublishedJob(job, req.user))) {
         res.status(404);
         throw new Error('Job not found');
     }
 
     let hasApplied = false;
+    let isSaved = false;
     if (req.user && req.user.user_type === 'laborer') {
         const existingApplication = await Application.findOne({
             job_id: job._id,
@@ -347,78 +885,319 @@ const getJobById = asyncHandler(async (req, res) => {
         if (existingApplication) {
             hasApplied = true;
         }
+        isSaved = Boolean(await SavedJob.exists({ user_id: req.user._id, job_id: job._id }));
+    }
+
+    // Distance in meters from the logged-in viewer's saved location, if both are known
+    let distance = null;
+    if (req.user && hasCoordinates(req.user.current_location) && hasCoordinates(job.location)) {
+        distance = Math.round(distanceInMeters(req.user.current_location.coordinates, job.location.coordinates));
     }
 
-    res.status(200).json({ job, hasApplied });
+    // The next few concrete shift times, already converted from the job's timezone
+    const now = new Date();
+    const upcomingShifts = expandShifts(job).filter(shift => shift.end > now).slice(0, UPCOMING_SHIFTS_LIMIT);
+
+    res.status(200).json({ job, hasApplied, isSaved, distance, upcomingShifts });
 });
 
 
-// @desc    Update a job posting
+// @desc    Update a job posting (a new pin, city or address moves the job)
 // @route   PUT /api/jobs/:id
 // @access  Private (Employer/Admin only)
 const updateJob = asyncHandler(async (req, res) => {
-    const { title, description, job_type, city, pay_rate_min, pay_rate_max, pay_type, application_deadline, required_skills, status } = req.body;
+    const { title, description, job_type, category_id, city, address, pay_rate_min, pay_rate_max, pay_type, application_deadline, required_skills, status, publish_at, positions_total, start_date, end_date, timezone, shifts } = req.body;
     const job = await Job.findById(req.params.id);
 
-    if (!job) { res.status(404); throw new Error('Job not found'); }
+    if (!job) { discardUpload(req); res.status(404); throw new Error('Job not found'); }
     if (req.user.user_type !== 'admin' && job.employer_id.toString() !== req.user._id.toString()) {
-        res.status(403); throw new Error('Not authorized to update this job');
+        discardUpload(req); res.status(403); throw new Error('Not authorized to update this job');
     }
 
-    let updatedLocation = job.location;
-    let newFormattedAddress = job.location.address_text || job.city;
-
-    if (city && city !== job.city) {
-        try {
-            const geoResults = await geocoder.geocode(city);
-            if (geoResults && geoResults.length > 0) {
-                updatedLocation = {
-                    type: "Point",
-                    coordinates: [geoResults[0].longitude, geoResults[0].latitude]
-                };
-                if (geoResults[0].formattedAddress) {
-                    newFormattedAddress = geoResults[0].formattedAddress;
-                } else if (geoResults[0].city && geoResults[0].country) {
-                    newFormattedAddress = `${geoResults[0].city}, ${geoResults[0].country}`;
-                }
-                updatedLocation.address_text = newFormattedAddress;
-            } else {
-                // If geocoding fails on update, just keep the old coordinates/address or set to default
-            }
-        } catch (geoError) {
-            console.error('Geocoding service error during update:', geoError);
-            // No need to throw an error here, just use defaults
-        }
+    // Work out the status change before touching anything, so a rejected update changes nothing
+    const wasPublished = job.isPublished();
+    const nextStatus = status || job.status;
+    if (!Job.schema.path('status').enumValues.includes(nextStatus)) {
+        discardUpload(req); res.status(400); throw new Error(`Invalid status: ${nextStatus}`);
+    }
+    if (wasPublished && Job.UNPUBLISHED_STATUSES.includes(nextStatus)) {
+        discardUpload(req); res.status(400); throw new Error('A published job cannot be turned back into a draft or scheduled job.');
+    }
+    let publishAt = job.publish_at;
+    if (publish_at) {
+        publishAt = parseFuturePublishAt(publish_at);
+        if (!publishAt) { discardUpload(req); res.status(400); throw new Error('Please provide a publish_at time in the future.'); }
+    }
+    if (nextStatus === 'Scheduled' && !(publishAt && publishAt > new Date())) {
+        discardUpload(req); res.status(400); throw new Error('Please provide a publish_at time in the future to schedule this job.');
+    }
+    const positionsTotal = parsePositionsTotal(positions_total);
+    if (positionsTotal === null) {
+        discardUpload(req); res.status(400); throw new Error('Number of positions must be a whole number of at least 1.');
+    }
+    if (positionsTotal !== undefined && positionsTotal < job.positions_filled) {
+        discardUpload(req); res.status(400); throw new Error(`${job.positions_filled} workers are already accepted; the number of positions cannot be lower.`);
+    }
+    // Schedule fields that are not sent keep their current values. Dates that were only the span
+    // of the one-off shifts (see parseSchedule) are derived again when new shifts are sent.
+    let schedule = null;
+    if ([start_date, end_date, timezone, shifts].some(value => value !== undefined)) {
+        const oneOffDates = job.shifts.filter(shift => shift.repeat === 'none').map(shift => shift.date).sort();
+        const datesFromShifts = shifts !== undefined && oneOffDates.length > 0
+            && job.start_date === oneOffDates[0] && job.end_date === oneOffDates[oneOffDates.length - 1];
+        const parsed = parseSchedule({
+            start_date: start_date !== undefined ? start_date : (datesFromShifts ? null : job.start_date),
+            end_date: end_date !== undefined ? end_date : (datesFromShifts ? null : job.end_date),
+            timezone: timezone !== undefined ? timezone : job.timezone,
+            shifts: shifts !== undefined ? shifts : job.toObject().shifts,
+        });
+        if (parsed.error) { discardUpload(req); res.status(400); throw new Error(parsed.error); }
+        schedule = parsed.schedule;
     }
 
-    let new_image_url = job.image_url;
-    if (req.file) {
-        new_image_url = `/uploads/job_images/${req.file.filename}`;
-        if (job.image_url && job.image_url.startsWith('/uploads/job_images/') && job.image_url !== DEFAULT_JOB_IMAGE_PATH) {
-            const oldImagePath = path.join(__dirname, '..', job.image_url);
-            fs.unlink(oldImagePath, (err) => {
-                if (err) console.error("Error deleting old job image:", err);
-            });
+    const { coordinates: pin, error: pinError } = parsePin(req.body);
+    if (pinError) { discardUpload(req); res.status(400); throw new Error(pinError); }
+    let skills = null;
+    if (required_skills) {
+        skills = await normaliseSkills(required_skills, { keepRetired: job.required_skill_ids });
+    }
+    // An empty category_id clears it, which only a draft can keep (see missingPublishFields below)
+    let categoryUpdate;
+    if (category_id !== undefined && String(category_id || '') !== String(job.category_id || '')) {
+        categoryUpdate = null;
+        if (category_id) {
+            const found = await findAssignableCategory(category_id);
+            if (found.error) { discardUpload(req); res.status(400); throw new Error(found.error); }
+            categoryUpdate = found.category._id;
         }
     }
+    const cityChanged = Boolean(city) && city !== job.city;
+    const newAddress = address !== undefined ? (String(address).trim() || null) : job.address;
+    const addressChanged = newAddress !== job.address;
+
+    const old_image_url = job.image_url;
+    const new_image_url = req.file ? `/uploads/job_images/${req.file.filename}` : job.image_url;
 
     job.title = title || job.title;
     job.description = description || job.description;
     job.job_type = job_type || job.job_type;
+    if (categoryUpdate !== undefined) job.category_id = categoryUpdate;
     job.city = city || job.city;
-    job.location = updatedLocation;
+    job.address = newAddress;
+    // A new pin or city moves the job, and so does a new address unless the job is pinned.
+    // A city without coordinates yet (a draft getting its city, or a lookup that failed before)
+    // is looked up again.
+    const isPinned = hasCoordinates(job.location) && job.location.pinned;
+    if (pin || cityChanged || (addressChanged && !isPinned) || (job.city && !hasCoordinates(job.location))) {
+        if (cityChanged || addressChanged) job.geocode_attempts = 0;
+        const { error: locationError } = await setJobLocation(job, { pin, cityProvided: Boolean(city) });
+        if (locationError) { discardUpload(req); res.status(400); throw new Error(locationError); }
+    }
     job.pay_rate_min = pay_rate_min !== undefined ? pay_rate_min : job.pay_rate_min;
     job.pay_rate_max = pay_rate_max !== undefined ? pay_rate_max : job.pay_rate_max;
     job.pay_type = pay_type || job.pay_type;
-    job.application_deadline = application_deadline || job.application_deadline;
-    job.required_skills = required_skills ? required_skills.split(',').map(s => s.trim()) : job.required_skills;
+    if (application_deadline && new Date(application_deadline).getTime() !== (job.application_deadline && job.application_deadline.getTime())) {
+        job.application_deadline = application_deadline;
+        job.expiry_notified_at = null; // Warn again before the new deadline
+    }
+    if (skills) {
+        job.required_skills = skills.names;
+        job.required_skill_ids = skills.ids;
+    }
+    if (positionsTotal !== undefined) job.positions_total = positionsTotal;
+    if (schedule) job.set(schedule);
     job.image_url = new_image_url;
-    job.status = status || job.status;
+    job.status = nextStatus;
+    job.publish_at = job.isPublished() ? null : publishAt;
+    if (!wasPublished && job.isPublished()) {
+        job.posted_at = new Date(); // Published now
+    }
 
-    const updatedJob = await job.save();
+    if (job.status !== 'Draft') {
+        // Jobs already live before categories existed can still be edited without one
+        const missing = job.missingPublishFields({ requireCategory: !wasPublished || categoryUpdate !== undefined });
+        if (missing.length > 0) {
+            discardUpload(req);
+            res.status(400);
+            throw new Error(`Please fill in the missing job fields before publishing: ${missing.join(', ')}`);
+        }
+    }
+
+    if (req.file && old_image_url && old_image_url.startsWith('/uploads/job_images/') && old_image_url !== DEFAULT_JOB_IMAGE_PATH) {
+        const oldImagePath = path.join(__dirname, '..', old_image_url);
+        fs.unlink(oldImagePath, (err) => {
+            if (err) console.error("Error deleting old job image:", err);
+        });
+    }
+
+    await job.save();
+    if (!wasPublished && job.status === 'Active') queueJobAlerts(job._id);
+    // A changed headcount can fill or reopen the job
+    const updatedJob = positionsTotal !== undefined ? await Job.syncFilledPositions(job._id) : job;
     res.status(200).json(updatedJob);
 });
 
+// @desc    Publish a draft or scheduled job now, or schedule it for a later time (publish_at)
+// @route   PUT /api/jobs/:id/publish
+// @access  Private (Employer/Admin only)
+const publishJob = asyncHandler(async (req, res) => {
+    const { publish_at } = req.body;
+    const job = await Job.findById(req.params.id);
+
+    if (!job) { res.status(404); throw new Error('Job not found'); }
+    if (req.user.user_type !== 'admin' && job.employer_id.toString() !== req.user._id.toString()) {
+        res.status(403); throw new Error('Not authorized to update this job');
+    }
+    if (job.isPublished()) {
+        res.status(400); throw new Error('This job is already published.');
+    }
+
+    const missing = job.missingPublishFields();
+    if (missing.length > 0) {
+        res.status(400);
+        throw new Error(`Please fill in the missing job fields before publishing: ${missing.join(', ')}`);
+    }
+
+    if (publish_at) {
+        const publishAt = parseFuturePublishAt(publish_at);
+        if (!publishAt) { res.status(400); throw new Error('Please provide a publish_at time in the future.'); }
+        job.status = 'Scheduled';
+        job.publish_at = publishAt;
+    } else {
+        job.status = 'Active';
+        job.publish_at = null;
+        job.posted_at = new Date();
+    }
+
+    const updatedJob = await job.save();
+    if (job.status === 'Active') queueJobAlerts(job._id);
+    res.status(200).json({
+        message: job.status === 'Active' ? 'Job published' : `Job scheduled for ${job.publish_at.toISOString()}`,
+        job: updatedJob,
+    });
+});
+
+// @desc    Repost (duplicate) a closed or filled job as a new Active or Draft posting. The city is only
+//          geocoded again when it changes; old dates do not carry over.
+// @route   POST /api/jobs/:id/repost
+// @access  Private (Employer/Admin only)
+const repostJob = asyncHandler(async (req, res) => {
+    const { status = 'Active', city, category_id, application_deadline, positions_total, start_date, end_date, timezone, shifts } = req.body;
+    const source = await Job.findById(req.params.id);
+
+    if (!source) { res.status(404); throw new Error('Job not found'); }
+    if (req.user.user_type !== 'admin' && source.employer_id.toString() !== req.user._id.toString()) {
+        res.status(403); throw new Error('Not authorized to repost this job');
+    }
+    if (!['Closed', 'Filled'].includes(source.status)) {
+        res.status(400); throw new Error('Only a closed or filled job can be reposted.');
+    }
+    if (!['Active', 'Draft'].includes(status)) {
+        res.status(400); throw new Error('A reposted job can only be Active or Draft.');
+    }
+
+    const positionsTotal = parsePositionsTotal(positions_total);
+    if (positionsTotal === null) {
+        res.status(400); throw new Error('Number of positions must be a whole number of at least 1.');
+    }
+
+    let deadline = null;
+    if (application_deadline) {
+        deadline = new Date(application_deadline);
+        if (isNaN(deadline.getTime()) || deadline <= new Date()) {
+            res.status(400); throw new Error('Please provide an application deadline in the future.');
+        }
+    }
+
+    // Weekly shifts carry over when the new posting gets its own dates; one-off shifts are in the past
+    const weeklyShifts = source.toObject().shifts.filter(shift => shift.repeat === 'weekly');
+    const { schedule, error: scheduleError } = parseSchedule({
+        start_date,
+        end_date,
+        timezone: timezone || source.timezone,
+        shifts: shifts !== undefined ? shifts : (start_date && end_date ? weeklyShifts : []),
+    });
+    if (scheduleError) { res.status(400); throw new Error(scheduleError); }
+
+    // The source's category may have been deactivated or split into subcategories since
+    const categoryId = category_id || source.category_id;
+    let category = null;
+    if (categoryId) {
+        const found = await findAssignableCategory(categoryId);
+        if (found.error) { res.status(400); throw new Error(found.error); }
+        category = found.category;
+    }
+
+    const newCity = city || source.city;
+    const { coordinates: pin, error: pinError } = parsePin(req.body);
+    if (pinError) { res.status(400); throw new Error(pinError); }
+    const job = new Job({
+        employer_id: source.employer_id,
+        title: source.title,
+        description: source.description,
+        job_type: source.job_type,
+        category_id: category ? category._id : null,
+        city: newCity,
+        address: city || pin ? null : source.address, // The old street address belongs to the old location
+        pay_rate_min: source.pay_rate_min,
+        pay_rate_max: source.pay_rate_max,
+        pay_type: source.pay_type,
+        application_deadline: deadline,
+        required_skills: source.required_skills,
+        required_skill_ids: source.required_skill_ids,
+        positions_total: positionsTotal || source.positions_total,
+        ...schedule,
+        status,
+    });
+    if (newCity || pin) {
+        const { error: locationError } = await setJobLocation(job, { pin, cityProvided: Boolean(city), source });
+        if (locationError) { res.status(400); throw new Error(locationError); }
+    }
+
+    if (status !== 'Draft') {
+        const missing = job.missingPublishFields();
+        if (missing.length > 0) {
+            res.status(400);
+            throw new Error(`Please fill in the missing job fields before publishing: ${missing.join(', ')}`);
+        }
+    }
+
+    job.image_url = await copyJobImage(source.image_url);
+    const createdJob = await job.save();
+    if (createdJob.status === 'Active') queueJobAlerts(createdJob._id);
+
+    res.status(201).json(createdJob);
+});
+
+// @desc    Extend a job's application deadline (reopens jobs closed by the old deadline)
+// @route   PUT /api/jobs/:id/deadline
+// @access  Private (Employer/Admin only)
+const extendJobDeadline = asyncHandler(async (req, res) => {
+    const { application_deadline } = req.body;
+    const job = await Job.findById(req.params.id);
+
+    if (!job) { res.status(404); throw new Error('Job not found'); }
+    if (req.user.user_type !== 'admin' && job.employer_id.toString() !== req.user._id.toString()) {
+        res.status(403); throw new Error('Not authorized to update this job');
+    }
+
+    const newDeadline = new Date(application_deadline);
+    if (!application_deadline || isNaN(newDeadline.getTime()) || newDeadline <= new Date()) {
+        res.status(400);
+        throw new Error('Please provide a new application deadline in the future.');
+    }
+
+    job.application_deadline = newDeadline;
+    job.expiry_notified_at = null;
+    if (job.status === 'Closed' && job.auto_closed_at) {
+        job.status = 'Active';
+        job.auto_closed_at = null;
+    }
+
+    const updatedJob = await job.save();
+    res.status(200).json({ message: 'Application deadline extended', job: updatedJob });
+});
+
 // @desc    Delete a job posting
 // @route   DELETE /api/jobs/:id
 // @access  Private (Employer/Admin only)
@@ -435,10 +1214,12 @@ const deleteJob = asyncHandler(async (req, res) => {
         });
     }
     await job.deleteOne();
+    await SavedJob.deleteMany({ job_id: job._id });
+    await JobAlert.deleteMany({ job_id: job._id });
     res.status(200).json({ message: 'Job removed successfully' });
 });
 
-// @desc    Get jobs posted by the authenticated employer
+// @desc    Get jobs posted by the authenticated employer, grouped by status (Draft, Scheduled, Active, Filled, Closed)
 // @route   GET /api/jobs/my-jobs
 // @access  Private (Employer/Admin only)
 const getEmployerJobs = asyncHandler(async (req, res) => {
@@ -449,9 +1230,19 @@ const getEmployerJobs = asyncHandler(async (req, res) => {
         .sort({ posted_at: -1 })
         .lean(); // Use .lean() to get plain JavaScript objects for easier modification
 
+    // Every status is present in the response, even without jobs
+    const groupByStatus = (jobList) => {
+        const jobsByStatus = {};
+        const counts = {};
+        for (const status of Job.schema.path('status').enumValues) {
+            jobsByStatus[status] = jobList.filter(job => job.status === status);
+            counts[status] = jobsByStatus[status].length;
+        }
+        return { counts, jobs: jobsByStatus };
+    };
 
     if (!jobs || jobs.length === 0) {
-        return res.status(200).json([]); // Return empty array if no jobs found
+        return res.status(200).json(groupByStatus([]));
     }
 
     // Get all job IDs for the current employer
@@ -472,10 +1263,11 @@ const getEmployerJobs = asyncHandler(async (req, res) => {
     // Add applicants_count to each job object
     const jobsWithApplicantsCount = jobs.map(job => {
         const applicants_count = countsMap.get(job._id.toString()) || 0;
-        return { ...job, applicants_count };
+        const positions_remaining = Math.max((job.positions_total || 0) - (job.positions_filled || 0), 0);
+        return { ...job, applicants_count, positions_remaining };
     });
 
-    res.status(200).json(jobsWithApplicantsCount);
+    res.status(200).json(groupByStatus(jobsWithApplicantsCount));
 });
 
 
@@ -522,6 +1314,13 @@ const applyForJob = asyncHandler(async (req, res) => {
         throw new Error('This job is not currently active for applications.');
     }
 
+    if (job.application_deadline && job.application_deadline <= new Date()) {
+        fs.unlink(req.files.resume[0].path, (err) => console.error("Error deleting resume for expired job:", err));
+        if (coverLetterPath) fs.unlink(req.files.coverLetter[0].path, (err) => console.error("Error deleting cover letter for expired job:", err));
+        res.status(400);
+        throw new Error('The application deadline for this job has passed.');
+    }
+
     const existingApplication = await Application.findOne({
         job_id: jobId,
         applicant_id: applicantId,
@@ -547,7 +1346,7 @@ const applyForJob = asyncHandler(async (req, res) => {
 });
 
 // @desc    Get all applications for a specific job posted by the authenticated employer
-// @route   GET /api/jobs/:jobId/applicants
+// @route   GET /api/jobs/:jobId/applicants?phoneVerified=true
 // @access  Private (Employer)
 const getApplicantsForSpecificJob = asyncHandler(async (req, res) => {
     const jobId = req.params.jobId;
@@ -564,8 +1363,17 @@ const getApplicantsForSpecificJob = asyncHandler(async (req, res) => {
         throw new Error('Job not found or you are not authorized to view applicants for this job.');
     }
 
-    const applications = await Application.find({ job_id: jobId })
-        .populate('applicant_id', 'username full_name email phone_number profile_picture_url bio skills hourly_rate is_available')
+    let applicationQuery = { job_id: jobId };
+
+    // Optionally only show applicants whose phone number has been verified
+    if (req.query.phoneVerified === 'true') {
+        const applicantIds = await Application.distinct('applicant_id', { job_id: jobId });
+        const verifiedIds = await User.find({ _id: { $in: applicantIds }, phone_verified: true }).distinct('_id');
+        applicationQuery.applicant_id = { $in: verifiedIds };
+    }
+
+    const applications = await Application.find(applicationQuery)
+        .populate('applicant_id', 'username full_name email phone_number phone_verified profile_picture_url bio skills hourly_rate is_available')
         .sort({ createdAt: -1 });
 
     res.status(200).json({ jobTitle: job.title, applications });
@@ -610,7 +1418,7 @@ const updateApplicationStatus = asyncHandler(async (req, res) => {
 
     const application = await Application.findById(applicationId).populate({
         path: 'job_id',
-        select: 'employer_id'
+        select: 'employer_id positions_total title start_date end_date timezone shifts'
     });
 
     if (!application) {
@@ -623,20 +1431,78 @@ const updateApplicationStatus = asyncHandler(async (req, res) => {
         throw new Error('Not authorized to update this application status.');
     }
 
+    const wasAccepted = application.status === 'Accepted';
+    const isAccepted = status === 'Accepted';
+    if (isAccepted && !wasAccepted) {
+        // A laborer cannot be accepted onto two jobs whose shifts overlap
+        const shiftsOfThisJob = expandShifts(application.job_id);
+        if (shiftsOfThisJob.length > 0) {
+            const otherAcceptances = await Application.find({
+                applicant_id: application.applicant_id,
+                status: 'Accepted',
+                _id: { $ne: application._id },
+            }).populate('job_id', 'title start_date end_date timezone shifts');
+
+            for (const other of otherAcceptances) {
+                if (!other.job_id) continue;
+                const overlap = findOverlap(shiftsOfThisJob, expandShifts(other.job_id));
+                if (overlap) {
+                    res.status(400);
+                    throw new Error(`This laborer is already accepted for "${other.job_id.title}", which has a shift overlapping this job on ${overlap[0].start.toISOString()}.`);
+                }
+            }
+        }
+    }
+
+    // Accepting takes a position first, in one conditional update on the job, so concurrent
+    // acceptances cannot overfill it
+    let job = null;
+    if (isAccepted && !wasAccepted) {
+        job = await Job.reservePosition(application.job_id._id);
+        if (!job) {
+            res.status(400);
+            throw new Error('All positions for this job are already filled. Raise the number of positions or un-accept someone first.');
+        }
+    }
+
+    // Only move on from the status this request saw, so the same application is not accepted twice
+    const updated = await Application.updateOne(
+        { _id: application._id, status: application.status },
+        { $set: { status } }
+    );
+    if (updated.modifiedCount === 0 && status !== application.status) {
+        if (job) await Job.releasePosition(application.job_id._id);
+        res.status(409);
+        throw new Error('This application was just updated by someone else. Please reload it and try again.');
+    }
     application.status = status;
-    await application.save();
 
-    res.status(200).json({ message: 'Application status updated successfully', application });
+    if (wasAccepted && !isAccepted) {
+        job = await Job.releasePosition(application.job_id._id);
+    }
+
+    const response = { message: 'Application status updated successfully', application };
+    // Accepting or dropping an accepted worker changes how many positions are filled
+    if (job) {
+        response.job = { _id: job._id, status: job.status, positions_total: job.positions_total, positions_filled: job.positions_filled, positions_remaining: job.positions_remaining };
+    }
+
+    res.status(200).json(response);
 });
 
 
 module.exports = {
     createJob,
     getAllJobs,
+    getJobClusters,
     getJobById,
     updateJob,
     deleteJob,
+    publishJob,
+    repostJob,
+    extendJobDeadline,
     getEmployerJobs,
+    getRecommendedJobs,
     applyForJob,
     getApplicantsForSpecificJob,
     getMyApplications,
@@ -0,0 +1,203 @@
+// local-labor-backend/controllers/jobTemplateController.js
+const fs = require('fs');
+const JobTemplate = require('../models/JobTemplate');
+const Job = require('../models/Job');
+const asyncHandler = require('../middleware/asyncHandler');
+const { removeUploadedFile } = require('../utils/accountCleanup');
+const { copyJobImage } = require('../utils/jobImages');
+const { hasCoordinates } = require('../utils/geo');
+
+const MAX_TEMPLATES = 50;
+
+// Template fields that can be set directly from a request body
+const TEMPLATE_FIELDS = ['title', 'description', 'job_type', 'category_id', 'city', 'pay_rate_min', 'pay_rate_max', 'pay_type', 'required_skills', 'positions_total', 'timezone'];
+
+// Copy the template fields present in a request body, in the shape the model stores them
+const templateFieldsFromBody = (body) => {
+    const fields = {};
+    for (const field of TEMPLATE_FIELDS) {
+        if (body[field] === undefined) continue;
+        if (field === 'required_skills') {
+            const skills = Array.isArray(body[field]) ? body[field] : String(body[field]).split(',');
+            fields[field] = skills.map(s => s.trim()).filter(Boolean);
+        } else {
+            fields[field] = body[field] === '' ? undefined : body[field];
+        }
+    }
+    return fields;
+};
+
+const discardUpload = (req) => {
+    if (req.file) {
+        fs.unlink(req.file.path, (err) => {
+            if (err) console.error("Error deleting uploaded template image:", err);
+        });
+    }
+};
+
+// Mongoose validation problems are the client's fault, so answer them with a 400
+const saveTemplate = async (req, res, template) => {
+    try {
+        return await template.save();
+    } catch (error) {
+        discardUpload(req);
+        // An image copied from a job for this new template would be left behind otherwise
+        if (template.isNew && !req.file) await removeUploadedFile(template.image_url);
+        if (error.name === 'ValidationError') {
+            res.status(400);
+            throw new Error(Object.values(error.errors).map(err => err.message).join(' '));
+        }
+        if (error.code === 11000) {
+            res.status(400);
+            throw new Error('You already have a template with this name.');
+        }
+        throw error;
+    }
+};
+
+// @desc    Create a job template, from scratch or from one of the employer's jobs (job_id)
+// @route   POST /api/job-templates
+// @access  Private (Employer)
+const createJobTemplate = asyncHandler(async (req, res) => {
+    const { name, job_id } = req.body;
+
+    if (!name || String(name).trim() === '') {
+        discardUpload(req);
+        res.status(400);
+        throw new Error('Please give the template a name.');
+    }
+
+    const templateCount = await JobTemplate.countDocuments({ employer_id: req.user._id });
+    if (templateCount >= MAX_TEMPLATES) {
+        discardUpload(req);
+        res.status(400);
+        throw new Error(`You can have at most ${MAX_TEMPLATES} job templates. Delete one first.`);
+    }
+
+    const template = new JobTemplate({ employer_id: req.user._id, name: String(name).trim() });
+
+    if (job_id) {
+        const job = await Job.findOne({ _id: job_id, employer_id: req.user._id });
+        if (!job) {
+            discardUpload(req);
+            res.status(404);
+            throw new Error('Job not found');
+        }
+        template.set({
+            title: job.title,
+            description: job.description,
+            job_type: job.job_type,
+            category_id: job.category_id,
+            city: job.city,
+            location: hasCoordinates(job.location) ? job.toObject().location : undefined,
+            pay_rate_min: job.pay_rate_min,
+            pay_rate_max: job.pay_rate_max,
+            pay_type: job.pay_type,
+            required_skills: job.required_skills,
+            positions_total: job.positions_total,
+            timezone: job.timezone,
+        });
+        if (!req.file && job.image_url) {
+            template.image_url = await copyJobImage(job.image_url);
+        }
+    }
+
+    // Fields sent with the request win over the ones copied from the job
+    const fields = templateFieldsFromBody(req.body);
+    if (fields.city !== undefined && fields.city !== template.city) {
+        template.location = undefined; // Geocoded again when a job is posted from it
+    }
+    template.set(fields);
+    if (req.file) {
+        template.image_url = `/uploads/job_images/${req.file.filename}`;
+    }
+
+    const createdTemplate = await saveTemplate(req, res, template);
+    res.status(201).json(createdTemplate);
+});
+
+// @desc    List the logged-in employer's job templates
+// @route   GET /api/job-templates
+// @access  Private (Employer)
+const getJobTemplates = asyncHandler(async (req, res) => {
+    const templates = await JobTemplate.find({ employer_id: req.user._id }).sort({ name: 1 });
+    res.status(200).json(templates);
+});
+
+// @desc    Get one of the logged-in employer's job templates
+// @route   GET /api/job-templates/:id
+// @access  Private (Employer)
+const getJobTemplateById = asyncHandler(async (req, res) => {
+    const template = await JobTemplate.findOne({ _id: req.params.id, employer_id: req.user._id });
+
+    if (!template) {
+        res.status(404);
+        throw new Error('Job template not found');
+    }
+
+    res.status(200).json(template);
+});
+
+// @desc    Update a job template
+// @route   PUT /api/job-templates/:id
+// @access  Private (Employer)
+const updateJobTemplate = asyncHandler(async (req, res) => {
+    const template = await JobTemplate.findOne({ _id: req.params.id, employer_id: req.user._id });
+
+    if (!template) {
+        discardUpload(req);
+        res.status(404);
+        throw new Error('Job template not found');
+    }
+
+    if (req.body.name !== undefined) {
+        if (!req.body.name || String(req.body.name).trim() === '') {
+            discardUpload(req);
+            res.status(400);
+            throw new Error('Please give the template a name.');
+        }
+        template.name = String(req.body.name).trim();
+    }
+    const fields = templateFieldsFromBody(req.body);
+    if (fields.city !== undefined && fields.city !== template.city) {
+        template.location = undefined;
+    }
+    template.set(fields);
+
+    const oldImageUrl = template.image_url;
+    if (req.file) {
+        template.image_url = `/uploads/job_images/${req.file.filename}`;
+    }
+
+    const updatedTemplate = await saveTemplate(req, res, template);
+    if (req.file && oldImageUrl) {
+        await removeUploadedFile(oldImageUrl);
+    }
+
+    res.status(200).json(updatedTemplate);
+});
+
+// @desc    Delete a job template
+// @route   DELETE /api/job-templates/:id
+// @access  Private (Employer)
+const deleteJobTemplate = asyncHandler(async (req, res) => {
+    const template = await JobTemplate.findOne({ _id: req.params.id, employer_id: req.user._id });
+
+    if (!template) {
+        res.status(404);
+        throw new Error('Job template not found');
+    }
+
+    await removeUploadedFile(template.image_url);
+    await template.deleteOne();
+
+    res.status(200).json({ message: 'Job template deleted successfully', id: template._id });
+});
+
+module.exports = {
+    createJobTemplate,
+    getJobTemplates,
+    getJobTemplateById,
+    updateJobTemplate,
+    deleteJobTemplate,
+};
@@ -0,0 +1,180 @@
+// src/controllers/roleController.js
+const Role = require('../models/Role');
+const User = require('../models/User');
+const asyncHandler = require('../middleware/asyncHandler');
+const { PERMISSIONS, DEFAULT_ADMIN_ROLE } = require('../utils/permissions');
+
+// Helper to reject permission names that do not exist
+const validatePermissions = (res, permissions) => {
+    if (!Array.isArray(permissions)) {
+        res.status(400);
+        throw new Error('Permissions must be an array.');
+    }
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+        res.status(400);
+        throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+    }
+};
+
+// @desc    List every permission that can be granted
+// @route   GET /api/admin/permissions
+// @access  Private (roles:manage)
+const getPermissionList = asyncHandler(async (req, res) => {
+    const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+    res.status(200).json(permissions);
+});
+
+// @desc    Get all roles with the number of users holding each
+// @route   GET /api/admin/roles
+// @access  Private (roles:manage)
+const getRoles = asyncHandler(async (req, res) => {
+    const roles = await Role.find({}).sort({ is_system: -1, name: 1 }).lean();
+
+    const userCounts = await User.aggregate([
+        { $match: { roles: { $in: roles.map(role => role._id) } } },
+        { $unwind: '$roles' },
+        { $group: { _id: '$roles', count: { $sum: 1 } } },
+    ]);
+    const countsMap = new Map(userCounts.map(item => [item._id.toString(), item.count]));
+
+    res.status(200).json(roles.map(role => ({ ...role, users_count: countsMap.get(role._id.toString()) || 0 })));
+});
+
+// @desc    Create a role
+// @route   POST /api/admin/roles
+// @access  Private (roles:manage)
+const createRole = asyncHandler(async (req, res) => {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name || name.trim() === '') {
+        res.status(400);
+        throw new Error('Role name is required.');
+    }
+    validatePermissions(res, permissions);
+
+    const roleExists = await Role.findOne({ name: name.trim().toLowerCase() });
+    if (roleExists) {
+        res.status(400);
+        throw new Error('A role with this name already exists');
+    }
+
+    const role = await Role.create({ name, description, permissions: [...new Set(permissions)] });
+
+    res.status(201).json(role);
+});
+
+// @desc    Update a role's name, description or permissions
+// @route   PUT /api/admin/roles/:id
+// @access  Private (roles:manage)
+const updateRole = asyncHandler(async (req, res) => {
+    const { name, description, permissions } = req.body;
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+        res.status(404);
+        throw new Error('Role not found');
+    }
+
+    if (name !== undefined && name.trim().toLowerCase() !== role.name) {
+        if (role.is_system) {
+            res.status(400);
+            throw new Error('Built-in roles cannot be renamed.');
+        }
+        const roleExists = await Role.findOne({ name: name.trim().toLowerCase() });
+        if (roleExists) {
+            res.status(400);
+            throw new Error('A role with this name already exists');
+        }
+        role.name = name;
+    }
+
+    if (permissions !== undefined) {
+        if (role.name === DEFAULT_ADMIN_ROLE) {
+            res.status(400);
+            throw new Error('The admin role always has every permission.');
+        }
+        validatePermissions(res, permissions);
+        role.permissions = [...new Set(permissions)];
+    }
+
+    if (description !== undefined) role.description = description;
+
+    const updatedRole = await role.save();
+    res.status(200).json({ message: 'Role updated successfully', role: updatedRole });
+});
+
+// @desc    Delete a role and remove it from every user
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (roles:manage)
+const deleteRole = asyncHandler(async (req, res) => {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+        res.status(404);
+        throw new Error('Role not found');
+    }
+    if (role.is_system) {
+        res.status(400);
+        throw new Error('Built-in roles cannot be deleted.');
+    }
+
+    await User.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+    await role.deleteOne();
+
+    res.status(200).json({ message: 'Role deleted successfully', id: role._id });
+});
+
+// @desc    Replace the roles assigned to a user
+// @route   PUT /api/admin/users/:id/roles
+// @access  Private (roles:manage)
+const assignUserRoles = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles)) {
+        res.status(400);
+        throw new Error('Roles must be an array of role IDs.');
+    }
+
+    // Stops an admin from accidentally removing their own access
+    if (id === req.user._id.toString()) {
+        res.status(400);
+        throw new Error('You cannot change your own roles.');
+    }
+
+    const foundRoles = await Role.find({ _id: { $in: roles } }).select('_id name');
+    if (foundRoles.length !== new Set(roles.map(String)).size) {
+        res.status(400);
+        throw new Error('One or more roles do not exist.');
+    }
+
+    const target = await User.findById(id).select('user_type two_factor_enabled');
+    if (!target) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+    // Roles grant back-office access, which needs two-factor authentication (see User.requiresTwoFactor).
+    // Admin accounts are made to set it up at their next sign-in anyway.
+    if (foundRoles.length > 0 && target.user_type !== 'admin' && !target.two_factor_enabled) {
+        res.status(400);
+        throw new Error('The user has to turn on two-factor authentication before they can be given a role.');
+    }
+
+    const user = await User.findByIdAndUpdate(
+        id,
+        { $set: { roles: foundRoles.map(role => role._id) } },
+        { new: true }
+    ).select('-password').populate('roles', 'name permissions');
+
+    res.status(200).json({ message: 'User roles updated successfully', user });
+});
+
+module.exports = {
+    getPermissionList,
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    assignUserRoles,
+};
@@ -0,0 +1,98 @@
+// local-labor-backend/controllers/savedJobController.js
+const SavedJob = require('../models/SavedJob');
+const Job = require('../models/Job');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const MAX_SAVED_JOBS = 200;
+
+// Why a saved job can no longer be applied to, or null while it is still open
+const unavailableReason = (job) => {
+    if (job.status === 'Closed' || job.status === 'Filled') return job.status;
+    if (job.application_deadline && job.application_deadline <= new Date()) return 'Expired';
+    return null;
+};
+
+// @desc    Save a job to the logged-in laborer's list
+// @route   POST /api/jobs/:id/save
+// @access  Private (Laborer)
+const saveJob = asyncHandler(async (req, res) => {
+    const job = await Job.findById(req.params.id).select('status');
+
+    if (!job || !job.isPublished()) {
+        res.status(404);
+        throw new Error('Job not found');
+    }
+
+    const alreadySaved = await SavedJob.findOne({ user_id: req.user._id, job_id: job._id });
+    if (alreadySaved) {
+        return res.status(200).json({ message: 'Job is already saved', savedJob: alreadySaved });
+    }
+
+    const savedCount = await SavedJob.countDocuments({ user_id: req.user._id });
+    if (savedCount >= MAX_SAVED_JOBS) {
+        res.status(400);
+        throw new Error(`You can save at most ${MAX_SAVED_JOBS} jobs. Remove some first.`);
+    }
+
+    let savedJob;
+    try {
+        savedJob = await SavedJob.create({ user_id: req.user._id, job_id: job._id });
+    } catch (error) {
+        // Saved by a parallel request in the meantime
+        if (error.code === 11000) {
+            const existing = await SavedJob.findOne({ user_id: req.user._id, job_id: job._id });
+            return res.status(200).json({ message: 'Job is already saved', savedJob: existing });
+        }
+        throw error;
+    }
+    res.status(201).json({ message: 'Job saved', savedJob });
+});
+
+// @desc    Remove a job from the logged-in laborer's saved list
+// @route   DELETE /api/jobs/:id/save
+// @access  Private (Laborer)
+const unsaveJob = asyncHandler(async (req, res) => {
+    const result = await SavedJob.deleteOne({ user_id: req.user._id, job_id: req.params.id });
+
+    if (result.deletedCount === 0) {
+        res.status(404);
+        throw new Error('This job is not in your saved jobs');
+    }
+
+    res.status(200).json({ message: 'Job removed from saved jobs', jobId: req.params.id });
+});
+
+// @desc    Get the logged-in laborer's saved jobs, flagging the ones that closed, filled up or expired
+// @route   GET /api/jobs/saved
+// @access  Private (Laborer)
+const getSavedJobs = asyncHandler(async (req, res) => {
+    const savedJobs = await SavedJob.find({ user_id: req.user._id })
+        .sort({ createdAt: -1 })
+        .populate({
+            path: 'job_id',
+            select: 'title city job_type pay_rate_min pay_rate_max pay_type application_deadline image_url status positions_total positions_filled employer_id',
+            populate: { path: 'employer_id', select: 'full_name company_name profile_picture_url' },
+        });
+
+    // Jobs deleted behind our back are skipped rather than shown empty
+    const result = savedJobs
+        .filter(saved => saved.job_id)
+        .map(saved => {
+            const reason = unavailableReason(saved.job_id);
+            return {
+                _id: saved._id,
+                saved_at: saved.createdAt,
+                job: saved.job_id,
+                is_available: reason === null,
+                unavailable_reason: reason,
+            };
+        });
+
+    res.status(200).json(result);
+});
+
+module.exports = {
+    saveJob,
+    unsaveJob,
+    getSavedJobs,
+};
@@ -0,0 +1,213 @@
+// local-labor-backend/controllers/savedSearchController.js
+const SavedSearch = require('../models/SavedSearch');
+const JobAlert = require('../models/JobAlert');
+const asyncHandler = require('../middleware/asyncHandler');
+const { getChannelNames } = require('../utils/jobAlerts');
+const { resolveSkills } = require('../utils/skills');
+
+const MAX_SAVED_SEARCHES = 20;
+const ALERTS_PAGE_LIMIT = 50;
+
+// Comma-separated query-string style values or arrays, trimmed and without empties
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Turn getAllJobs-style filters (lat, long, maxDistance, skills, jobType, minPay) into the
+// stored shape, with skills mapped onto the catalogue; like the listing filter, terms the catalogue
+// does not know are ignored. Returns { filters } or { error } with a message for the client.
+// keepRetired lists skill ids the search may keep after they were retired.
+const parseSearchFilters = async (input = {}, keepRetired = []) => {
+    const { skills } = await resolveSkills(toList(input.skills), { keepRetired });
+
+    const filters = {
+        skills: skills.map(skill => skill.name),
+        skill_ids: skills.map(skill => skill._id),
+        job_types: toList(input.jobType),
+    };
+
+    const hasLocation = [input.lat, input.long, input.maxDistance].some(value => value !== undefined && value !== '');
+    if (hasLocation) {
+        const lat = parseFloat(input.lat);
+        const long = parseFloat(input.long);
+        const maxDistance = parseInt(input.maxDistance);
+        if ([lat, long, maxDistance].some(isNaN) || lat < -90 || lat > 90 || long < -180 || long > 180 || maxDistance <= 0) {
+            return { error: 'A location filter needs lat (-90 to 90), long (-180 to 180) and a positive maxDistance in meters.' };
+        }
+        filters.location = { type: 'Point', coordinates: [long, lat] };
+        filters.max_distance = maxDistance;
+    }
+
+    if (input.minPay !== undefined && input.minPay !== '') {
+        const minPay = parseFloat(input.minPay);
+        if (isNaN(minPay) || minPay < 0) return { error: 'minPay must be a number of at least 0.' };
+        filters.min_pay = minPay;
+    }
+
+    if (!filters.location && filters.skills.length === 0 && filters.job_types.length === 0 && filters.min_pay === undefined) {
+        return { error: 'Please choose at least one filter (location, skills, jobType or minPay) to save.' };
+    }
+    return { filters };
+};
+
+// Checks frequency and channels, setting them on the saved search
+const applyAlertSettings = (res, savedSearch, { frequency, channels }) => {
+    if (frequency !== undefined) {
+        if (!SavedSearch.FREQUENCIES.includes(frequency)) {
+            res.status(400);
+            throw new Error(`Frequency must be one of: ${SavedSearch.FREQUENCIES.join(', ')}.`);
+        }
+        savedSearch.frequency = frequency;
+    }
+    if (channels !== undefined) {
+        const channelList = toList(channels);
+        const unknown = channelList.filter(channel => !getChannelNames().includes(channel));
+        if (unknown.length > 0) {
+            res.status(400);
+            throw new Error(`Unknown alert channel(s): ${unknown.join(', ')}. Available: ${getChannelNames().join(', ')}.`);
+        }
+        savedSearch.channels = channelList; // An empty list means in-app alerts only
+    }
+};
+
+// @desc    Save a set of job filters as a named search with alerts
+// @route   POST /api/saved-searches
+// @access  Private (Laborer)
+const createSavedSearch = asyncHandler(async (req, res) => {
+    const { name, filters: filterInput, frequency, channels } = req.body;
+
+    if (!name || name.trim() === '') {
+        res.status(400);
+        throw new Error('Please give the search a name.');
+    }
+
+    const { filters, error } = await parseSearchFilters(filterInput);
+    if (error) {
+        res.status(400);
+        throw new Error(error);
+    }
+
+    const searchCount = await SavedSearch.countDocuments({ user_id: req.user._id });
+    if (searchCount >= MAX_SAVED_SEARCHES) {
+        res.status(400);
+        throw new Error(`You can have at most ${MAX_SAVED_SEARCHES} saved searches. Delete one first.`);
+    }
+
+    const savedSearch = new SavedSearch({ user_id: req.user._id, name: name.trim(), filters });
+    applyAlertSettings(res, savedSearch, { frequency, channels });
+    await savedSearch.save();
+
+    res.status(201).json(savedSearch);
+});
+
+// @desc    List the logged-in laborer's saved searches with their unread alert counts
+// @route   GET /api/saved-searches
+// @access  Private (Laborer)
+const getSavedSearches = asyncHandler(async (req, res) => {
+    const savedSearches = await SavedSearch.find({ user_id: req.user._id }).sort({ createdAt: -1 }).lean();
+
+    const unreadCounts = await JobAlert.aggregate([
+        { $match: { user_id: req.user._id, read_at: null } },
+        { $group: { _id: '$saved_search_id', count: { $sum: 1 } } },
+    ]);
+    const countsMap = new Map(unreadCounts.map(item => [item._id.toString(), item.count]));
+
+    res.status(200).json(savedSearches.map(savedSearch => ({
+        ...savedSearch,
+        unread_alerts: countsMap.get(savedSearch._id.toString()) || 0,
+    })));
+});
+
+// @desc    Update a saved search (name, filters, frequency, channels, is_active)
+// @route   PUT /api/saved-searches/:id
+// @access  Private (Laborer)
+const updateSavedSearch = asyncHandler(async (req, res) => {
+    const { name, filters: filterInput, frequency, channels, is_active } = req.body;
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user_id: req.user._id });
+
+    if (!savedSearch) {
+        res.status(404);
+        throw new Error('Saved search not found');
+    }
+
+    if (name !== undefined) {
+        if (name.trim() === '') {
+            res.status(400);
+            throw new Error('Please give the search a name.');
+        }
+        savedSearch.name = name.trim();
+    }
+    if (filterInput !== undefined) {
+        const { filters, error } = await parseSearchFilters(filterInput, savedSearch.filters.skill_ids);
+        if (error) {
+            res.status(400);
+            throw new Error(error);
+        }
+        savedSearch.filters = filters;
+    }
+    applyAlertSettings(res, savedSearch, { frequency, channels });
+    if (is_active !== undefined) {
+        savedSearch.is_active = is_active === true || is_active === 'true';
+    }
+
+    const updatedSearch = await savedSearch.save();
+    res.status(200).json(updatedSearch);
+});
+
+// @desc    Delete a saved search and its alerts
+// @route   DELETE /api/saved-searches/:id
+// @access  Private (Laborer)
+const deleteSavedSearch = asyncHandler(async (req, res) => {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user_id: req.user._id });
+
+    if (!savedSearch) {
+        res.status(404);
+        throw new Error('Saved search not found');
+    }
+
+    await JobAlert.deleteMany({ saved_search_id: savedSearch._id });
+    await savedSearch.deleteOne();
+
+    res.status(200).json({ message: 'Saved search deleted successfully', id: savedSearch._id });
+});
+
+// @desc    Get the logged-in laborer's job alerts, newest first (?unread=true, ?searchId=)
+// @route   GET /api/saved-searches/alerts
+// @access  Private (Laborer)
+const getJobAlerts = asyncHandler(async (req, res) => {
+    const query = { user_id: req.user._id };
+    if (req.query.unread === 'true') query.read_at = null;
+    if (req.query.searchId) query.saved_search_id = req.query.searchId;
+
+    const alerts = await JobAlert.find(query)
+        .sort({ createdAt: -1 })
+        .limit(ALERTS_PAGE_LIMIT)
+        .populate('saved_search_id', 'name')
+        .populate('job_id', 'title city job_type pay_rate_min pay_rate_max pay_type status image_url');
+
+    // Alerts for jobs deleted in the meantime are skipped
+    res.status(200).json(alerts.filter(alert => alert.job_id));
+});
+
+// @desc    Mark job alerts as read (ids in the body, or all of them when none are given)
+// @route   PUT /api/saved-searches/alerts/read
+// @access  Private (Laborer)
+const markJobAlertsRead = asyncHandler(async (req, res) => {
+    const { ids } = req.body;
+    const query = { user_id: req.user._id, read_at: null };
+    if (Array.isArray(ids) && ids.length > 0) query._id = { $in: ids };
+
+    const result = await JobAlert.updateMany(query, { $set: { read_at: new Date() } });
+    res.status(200).json({ message: 'Job alerts marked as read', updated: result.modifiedCount });
+});
+
+module.exports = {
+    createSavedSearch,
+    getSavedSearches,
+    updateSavedSearch,
+    deleteSavedSearch,
+    getJobAlerts,
+    markJobAlertsRead,
+};
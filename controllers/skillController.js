@@ -0,0 +1,154 @@
+// local-labor-backend/controllers/skillController.js
+const Skill = require('../models/Skill');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const JobTemplate = require('../models/JobTemplate');
+const SavedSearch = require('../models/SavedSearch');
+const asyncHandler = require('../middleware/asyncHandler');
+const { migrateStoredSkills } = require('../utils/skills');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Aliases sent as an array or a comma-separated string
+const parseAliases = (aliases) => {
+    if (aliases === undefined || aliases === null || aliases === '') return [];
+    const list = Array.isArray(aliases) ? aliases : String(aliases).split(',');
+    return list.map(alias => String(alias).trim()).filter(Boolean);
+};
+
+// Throws a 400 if the name or one of the aliases already leads to another skill
+const checkSkillKeys = async (res, name, aliases, excludeId = null) => {
+    const keys = [name, ...aliases].map(Skill.normaliseSkillName).filter(Boolean);
+    if (!Skill.normaliseSkillName(name)) {
+        res.status(400);
+        throw new Error('The skill name needs at least one letter or number.');
+    }
+    const clash = await Skill.findOne({ keys: { $in: keys }, _id: { $ne: excludeId } });
+    if (clash) {
+        res.status(400);
+        throw new Error(`"${clash.name}" already uses one of these names or aliases.`);
+    }
+};
+
+// @desc    Autocomplete skills by name or alias (?q=plu&limit=10)
+// @route   GET /api/skills
+// @access  Public
+const searchSkills = asyncHandler(async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const query = { is_active: true };
+    const term = Skill.normaliseSkillName(req.query.q);
+    if (term) {
+        // keys are normalised, so a prefix match also finds skills by their aliases
+        query.keys = { $regex: `^${escapeRegex(term)}` };
+    }
+
+    const skills = await Skill.find(query).select('name aliases').sort({ name: 1 }).limit(limit).lean();
+    res.status(200).json(skills);
+});
+
+// @desc    Get the whole skills catalogue, retired skills included, with how many laborers and jobs use each
+// @route   GET /api/admin/skills
+// @access  Private (skills:manage)
+const getAllSkills = asyncHandler(async (req, res) => {
+    const [skills, laborerCounts, jobCounts] = await Promise.all([
+        Skill.find({}).sort({ name: 1 }).lean(),
+        User.aggregate([{ $unwind: '$skill_ids' }, { $group: { _id: '$skill_ids', count: { $sum: 1 } } }]),
+        Job.aggregate([{ $unwind: '$required_skill_ids' }, { $group: { _id: '$required_skill_ids', count: { $sum: 1 } } }]),
+    ]);
+    const toMap = (counts) => new Map(counts.map(item => [item._id.toString(), item.count]));
+    const laborers = toMap(laborerCounts);
+    const jobs = toMap(jobCounts);
+
+    res.status(200).json(skills.map(skill => ({
+        ...skill,
+        laborer_count: laborers.get(skill._id.toString()) || 0,
+        job_count: jobs.get(skill._id.toString()) || 0,
+    })));
+});
+
+// @desc    Add a skill to the catalogue
+// @route   POST /api/admin/skills
+// @access  Private (skills:manage)
+const createSkill = asyncHandler(async (req, res) => {
+    const { name } = req.body;
+    if (!name || String(name).trim() === '') {
+        res.status(400);
+        throw new Error('Please add a skill name.');
+    }
+    const aliases = parseAliases(req.body.aliases);
+    await checkSkillKeys(res, name, aliases);
+
+    const skill = await Skill.create({ name: String(name).trim(), aliases });
+    res.status(201).json(skill);
+});
+
+// Canonical names are copied onto profiles, jobs, templates and saved searches for display;
+// after a rename they are rewritten wherever this skill is used
+const renameStoredSkill = async (skill, oldName) => {
+    const rename = (Model, namesPath, idsPath) => Model.updateMany(
+        idsPath ? { [idsPath]: skill._id, [namesPath]: oldName } : { [namesPath]: oldName },
+        { $set: { [`${namesPath}.$[name]`]: skill.name } },
+        { arrayFilters: [{ name: oldName }] }
+    );
+    await Promise.all([
+        rename(User, 'skills', 'skill_ids'),
+        rename(Job, 'required_skills', 'required_skill_ids'),
+        rename(JobTemplate, 'required_skills', null),
+        rename(SavedSearch, 'filters.skills', 'filters.skill_ids'),
+    ]);
+};
+
+// @desc    Rename a skill, change its aliases, or retire (is_active=false) / restore it
+// @route   PUT /api/admin/skills/:id
+// @access  Private (skills:manage)
+const updateSkill = asyncHandler(async (req, res) => {
+    const { name, aliases, is_active } = req.body;
+    const skill = await Skill.findById(req.params.id);
+
+    if (!skill) {
+        res.status(404);
+        throw new Error('Skill not found');
+    }
+
+    const oldName = skill.name;
+    const newName = name !== undefined ? String(name).trim() : skill.name;
+    const newAliases = aliases !== undefined ? parseAliases(aliases) : skill.aliases;
+    if (!newName) {
+        res.status(400);
+        throw new Error('Please add a skill name.');
+    }
+    await checkSkillKeys(res, newName, newAliases, skill._id);
+
+    skill.name = newName;
+    skill.aliases = newAliases;
+    if (is_active !== undefined) {
+        // Profiles and jobs keep a retired skill; it just cannot be picked again
+        skill.is_active = is_active === true || is_active === 'true';
+    }
+
+    const updatedSkill = await skill.save();
+    if (updatedSkill.name !== oldName) await renameStoredSkill(updatedSkill, oldName);
+
+    res.status(200).json(updatedSkill);
+});
+
+// @desc    Map the skill strings stored on profiles, jobs, templates and saved searches onto the
+//          catalogue. Returns how many documents changed and the strings no skill or alias matches
+//          yet, so they can be added as aliases and the migration run again.
+// @route   POST /api/admin/skills/migrate
+// @access  Private (skills:manage)
+const migrateSkills = asyncHandler(async (req, res) => {
+    const { updated, unmapped } = await migrateStoredSkills();
+    res.status(200).json({
+        updated,
+        unmapped: unmapped.map(([value, count]) => ({ value, count })),
+    });
+});
+
+module.exports = {
+    searchSkills,
+    getAllSkills,
+    createSkill,
+    updateSkill,
+    migrateSkills,
+};
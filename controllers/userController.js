@@ -1,19 +1,49 @@
 // local-labor-backend/controllers/userController.js
 const User = require('../models/User');
 const asyncHandler = require('../middleware/asyncHandler');
-const jwt = require('jsonwebtoken');
 const Rating = require('../models/Rating');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const Job = require('../models/Job');
+const JobTemplate = require('../models/JobTemplate');
+const SavedJob = require('../models/SavedJob');
+const SavedSearch = require('../models/SavedSearch');
+const Application = require('../models/Application');
+const archiver = require('archiver');
+const {
+  issueAuthTokens,
+  getClientInfo,
+  buildLoginResponse,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+} = require('../utils/authTokens');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { normaliseSkills } = require('../utils/skills');
+const { resolveUploadPath } = require('../utils/accountCleanup');
 const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-const generateToken = (id, user_type, username, email) => {
-  return jwt.sign(
-    { _id: id, user_type, username, email },
-    process.env.JWT_SECRET,
-    { expiresIn: '1h' }
-  );
+// Failed logins allowed from one IP address inside the window before it is blocked
+const IP_MAX_FAILED_LOGINS = parseInt(process.env.IP_MAX_FAILED_LOGINS) || 20;
+const IP_FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Days between a self-service deletion request and the actual removal
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Helper to store a login attempt for throttling and the user's login history
+const recordLoginAttempt = (req, { user, email, success, failure_reason = null }) => {
+  const { userAgent, ipAddress } = getClientInfo(req);
+  return LoginAttempt.create({
+    user_id: user ? user._id : null,
+    email,
+    ip_address: ipAddress,
+    user_agent: userAgent,
+    success,
+    failure_reason,
+  });
 };
 
 // Helper to calculate time ago
@@ -70,7 +100,7 @@ const upload = multer({
 
 // @desc        Get a single laborer's profile with aggregated ratings and reviews
 // @route       GET /api/laborers/:id
-// @access      Public (or Private if all Browse requires login)
+// @access      Public (personalized when a valid token is sent)
 const getLaborerProfileAndRatings = asyncHandler(async (req, res) => {
   const laborerId = req.params.id;
 
@@ -134,9 +164,10 @@ const getLaborerProfileAndRatings = asyncHandler(async (req, res) => {
     profile_picture_url: laborer.profile_picture_url,
     bio: laborer.bio,
     hourly_rate: laborer.hourly_rate,
-    is_available: laborer.is_available,
-    skills: laborer.skills,
-    current_location: laborer.current_location,
+    is_available: laborer.is_available,
+    skills: laborer.skills,
+    phone_verified: laborer.phone_verified,
+    current_location: laborer.current_location,
     // Extract year from createdAt for "Joined in"
     joinedDate: laborer.createdAt ? new Date(laborer.createdAt).getFullYear().toString() : 'N/A',
     overallRating: overallRating, // Frontend will format to fixed(1)
@@ -145,7 +176,11 @@ const getLaborerProfileAndRatings = asyncHandler(async (req, res) => {
     reviews: formattedReviews,
   };
 
-  res.status(200).json({ laborer: laborerProfileData });
+  // Viewer-specific flags for logged-in users
+  const isOwnProfile = Boolean(req.user && req.user._id.toString() === laborer._id.toString());
+  const hasRated = Boolean(req.user && reviews.some(review => review.rater_id?._id?.toString() === req.user._id.toString()));
+
+  res.status(200).json({ laborer: laborerProfileData, isOwnProfile, hasRated });
 });
 
 
@@ -181,8 +216,9 @@ const getAllLaborers = asyncHandler(async (req, res) => {
                 bio: 1,
                 hourly_rate: 1,
                 is_available: 1,
-                skills: 1,
-                current_location: 1,
+                skills: 1,
+                phone_verified: 1,
+                current_location: 1,
                 city: 1, // <<< CRITICAL FIX: Include the 'city' field in the projection
                 createdAt: 1, // Keep original creation date if needed
                 // Calculate overallRating
@@ -240,8 +276,15 @@ const registerUser = asyncHandler(async (req, res) => {
     }
 
     // Prepare user data based on user_type
-    const userData = { username, email, password, full_name, user_type };
-    if (phone_number) userData.phone_number = phone_number;
+    const userData = { username, email, password, full_name, user_type, email_verified: false };
+    if (phone_number) {
+        const normalizedPhone = normalizePhoneNumber(phone_number);
+        if (!normalizedPhone) {
+            res.status(400);
+            throw new Error('Please provide a valid phone number.');
+        }
+        userData.phone_number = normalizedPhone;
+    }
     
     // Add City to all users if provided, or only laborers as required by frontend
     if (city) userData.city = city;
@@ -250,8 +293,10 @@ const registerUser = asyncHandler(async (req, res) => {
         // Laborer Specific Fields
         userData.bio = bio;
         userData.hourly_rate = hourly_rate;
-        // Assuming the frontend is now sending an array or comma-separated string that's handled correctly by Mongoose/schema validation
-        userData.skills = skills; 
+        // Skills are mapped onto the catalogue (GET /api/skills); ones it does not know are kept as typed
+        const normalisedSkills = await normaliseSkills(skills);
+        userData.skills = normalisedSkills.names;
+        userData.skill_ids = normalisedSkills.ids;
 
         // === NEW: Location Data for Geospatial Indexing ===
         if (current_location) {
@@ -273,20 +318,42 @@ const registerUser = asyncHandler(async (req, res) => {
 
     const user = await User.create(userData);
 
-    if (user) {
-        res.status(201).json({
+    if (user) {
+        // Registration still succeeds if the mail cannot be sent; the user can ask for a resend
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Error sending verification email during registration:', mailError);
+        }
+
+        // Admins only get a session once two-factor authentication is set up
+        if (user.mustEnrollTwoFactor()) {
+            return res.status(201).json({
+                _id: user._id,
+                username: user.username,
+                email: user.email,
+                user_type: user.user_type,
+                twoFactorSetupRequired: true,
+                twoFactorToken: generateTwoFactorToken(user, '2fa_setup'),
+            });
+        }
+
+        const { token, refreshToken } = await issueAuthTokens(user, req);
+
+        res.status(201).json({
             _id: user._id,
             username: user.username,
             email: user.email,
             full_name: user.full_name,
-            user_type: user.user_type,
-            // Include location data in the response if needed, for client-side context
+            user_type: user.user_type,
+            email_verified: user.email_verified,
+            // Include location data in the response if needed, for client-side context
             city: user.city,
             current_location: user.current_location,
             
             profile_picture_url: user.profile_picture_url,
-            // Ensure your token generation handles the new fields if you included them in the payload
-            token: generateToken(user._id, user.user_type, user.username, user.email),
+            token,
+            refreshToken,
         });
     } else {
         res.status(400);
@@ -294,30 +361,159 @@ const registerUser = asyncHandler(async (req, res) => {
     }
 });
 
-// @desc        Authenticate user & get token
-// @route       POST /api/auth/login
-// @access      Public
+// Helper to stop a login attempt when the account is locked or still in its delay period
+const assertLoginAllowed = async (req, res, user, email) => {
+  if (user.isLocked()) {
+    await recordLoginAttempt(req, { user, email, success: false, failure_reason: 'account_locked' });
+    const minutesLeft = Math.ceil((user.lock_until.getTime() - Date.now()) / 60000);
+    res.set('Retry-After', Math.ceil((user.lock_until.getTime() - Date.now()) / 1000).toString());
+    res.status(423);
+    throw new Error(`Account is temporarily locked after too many failed login attempts. Try again in ${minutesLeft} minute(s) or contact support.`);
+  }
+
+  // Progressive delay: each further failure has to wait longer before the next try
+  const delaySeconds = user.loginDelaySeconds();
+  if (delaySeconds > 0) {
+    await recordLoginAttempt(req, { user, email, success: false, failure_reason: 'too_many_attempts' });
+    res.set('Retry-After', delaySeconds.toString());
+    res.status(429);
+    throw new Error(`Too many failed login attempts. Please wait ${delaySeconds} second(s) and try again.`);
+  }
+};
+
+// @desc        Authenticate user & get token (step 1: password)
+// @route       POST /api/auth/login
+// @access      Public
 const loginUser = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
+  const { email, password } = req.body;
+
+  // Too many failures from this IP address, whatever account they targeted
+  const recentIpFailures = await LoginAttempt.countRecentFailuresFromIp(req.ip, IP_FAILED_LOGIN_WINDOW_MS);
+  if (recentIpFailures >= IP_MAX_FAILED_LOGINS) {
+    await recordLoginAttempt(req, { email, success: false, failure_reason: 'ip_blocked' });
+    res.set('Retry-After', Math.ceil(IP_FAILED_LOGIN_WINDOW_MS / 1000).toString());
+    res.status(429);
+    throw new Error('Too many failed login attempts from your network. Please try again later.');
+  }
+
+  // Check if user exists by email (or username, if you modify the schema and query)
+  const user = await User.findOne({ email });
+
+  if (user) {
+    await assertLoginAllowed(req, res, user, email);
+  }
+
+  // Check password
+  if (user && (await user.comparePassword(password))) {
+    // Step 2: no JWT until the second factor has been checked
+    if (user.two_factor_enabled) {
+      return res.json({ twoFactorRequired: true, twoFactorToken: generateTwoFactorToken(user, '2fa_login') });
+    }
+    if (user.mustEnrollTwoFactor()) {
+      return res.json({ twoFactorSetupRequired: true, twoFactorToken: generateTwoFactorToken(user, '2fa_setup') });
+    }
 
-  // Check if user exists by email (or username, if you modify the schema and query)
-  const user = await User.findOne({ email });
+    await user.resetLoginAttempts();
+    await recordLoginAttempt(req, { user, email, success: true });
 
-  // Check password
-  if (user && (await user.comparePassword(password))) {
-    res.json({
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      full_name: user.full_name,
-      user_type: user.user_type,
-      profile_picture_url: user.profile_picture_url,
-      token: generateToken(user._id, user.user_type, user.username, user.email),
-    });
-  } else {
-    res.status(401);
-    throw new Error('Invalid email or password');
-  }
+    res.json(await buildLoginResponse(user, req));
+  } else {
+    if (user) {
+      await user.registerFailedLogin();
+    }
+    await recordLoginAttempt(req, { user, email, success: false, failure_reason: 'invalid_credentials' });
+    res.status(401);
+    throw new Error('Invalid email or password');
+  }
+});
+
+// Helper to load the user behind a two-factor token issued by loginUser
+const getTwoFactorLoginUser = async (res, twoFactorToken, purpose) => {
+  const userId = twoFactorToken ? verifyTwoFactorToken(twoFactorToken, purpose) : null;
+  const user = userId ? await User.findByIdWithTwoFactor(userId) : null;
+  if (!user) {
+    res.status(401);
+    throw new Error('Your login session has expired. Please log in again.');
+  }
+  return user;
+};
+
+// @desc        Complete a login with an authenticator or recovery code (step 2)
+// @route       POST /api/auth/login/2fa
+// @access      Public (requires the twoFactorToken from step 1)
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    res.status(400);
+    throw new Error('Authentication code or recovery code is required.');
+  }
+
+  const user = await getTwoFactorLoginUser(res, twoFactorToken, '2fa_login');
+  await assertLoginAllowed(req, res, user, user.email);
+
+  if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+    await user.registerFailedLogin();
+    await recordLoginAttempt(req, { user, email: user.email, success: false, failure_reason: 'invalid_two_factor_code' });
+    res.status(401);
+    throw new Error('Invalid authentication code');
+  }
+
+  await user.resetLoginAttempts();
+  await recordLoginAttempt(req, { user, email: user.email, success: true });
+
+  res.json({
+    ...(await buildLoginResponse(user, req)),
+    recoveryCodesRemaining: user.two_factor_recovery_codes.length,
+  });
+});
+
+// @desc        Start the mandatory two-factor enrollment during login (admins)
+// @route       POST /api/auth/login/2fa/setup
+// @access      Public (requires the twoFactorToken from step 1)
+const startTwoFactorLoginSetup = asyncHandler(async (req, res) => {
+  const user = await getTwoFactorLoginUser(res, req.body.twoFactorToken, '2fa_setup');
+
+  const { secret, otpauthUrl } = await user.startTwoFactorEnrollment();
+
+  res.json({ secret, otpauthUrl });
+});
+
+// @desc        Confirm the mandatory two-factor enrollment and finish logging in
+// @route       POST /api/auth/login/2fa/confirm
+// @access      Public (requires the twoFactorToken from step 1)
+const confirmTwoFactorLoginSetup = asyncHandler(async (req, res) => {
+  const { twoFactorToken, code } = req.body;
+
+  const user = await getTwoFactorLoginUser(res, twoFactorToken, '2fa_setup');
+  await assertLoginAllowed(req, res, user, user.email);
+
+  const recoveryCodes = await user.confirmTwoFactorEnrollment(code);
+  if (!recoveryCodes) {
+    await user.registerFailedLogin();
+    await recordLoginAttempt(req, { user, email: user.email, success: false, failure_reason: 'invalid_two_factor_code' });
+    res.status(400);
+    throw new Error('Invalid authentication code. Check the time on your device and try again.');
+  }
+
+  await user.resetLoginAttempts();
+  await recordLoginAttempt(req, { user, email: user.email, success: true });
+
+  res.json({ ...(await buildLoginResponse(user, req)), recoveryCodes });
+});
+
+// @desc        Get the logged-in user's login history
+// @route       GET /api/users/profile/login-history
+// @access      Private
+const getLoginHistory = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const attempts = await LoginAttempt.find({ user_id: req.user._id })
+    .select('ip_address user_agent success failure_reason createdAt')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  res.status(200).json(attempts);
 });
 
 // @desc        Get all users (Admin only)
@@ -342,10 +538,14 @@ const getUserProfile = asyncHandler(async (req, res) => {
       username: user.username,
       email: user.email,
       full_name: user.full_name,
-      user_type: user.user_type,
-      phone_number: user.phone_number,
-      profile_picture_url: user.profile_picture_url,
-      bio: user.bio,
+      user_type: user.user_type,
+      email_verified: !user.needsEmailVerification(),
+      phone_number: user.phone_number,
+      phone_verified: user.phone_verified,
+      two_factor_enabled: user.two_factor_enabled,
+      deletion_scheduled_for: user.deletion_scheduled_for || null,
+      profile_picture_url: user.profile_picture_url,
+      bio: user.bio,
       hourly_rate: user.hourly_rate ? Number(user.hourly_rate) : null,
       skills: user.skills,
       company_name: user.company_name,
@@ -381,9 +581,28 @@ const updateUserProfile = asyncHandler(async (req, res, next) => {
 
     // Update fields from req.body (parsed as form data by multer)
     // Use trimmed values for strings to remove leading/trailing whitespace
-    user.full_name = req.body.full_name.trim();
-    user.email = req.body.email.trim();
-    user.phone_number = req.body.phone_number ? req.body.phone_number.trim() : null;
+    user.full_name = req.body.full_name.trim();
+    const emailChanged = req.body.email.trim() !== user.email;
+    user.email = req.body.email.trim();
+    if (emailChanged) {
+      // A new address has to be confirmed again
+      user.email_verified = false;
+      user.email_verified_at = undefined;
+    }
+    let phoneNumber = null;
+    if (req.body.phone_number && req.body.phone_number.trim() !== '') {
+      phoneNumber = normalizePhoneNumber(req.body.phone_number);
+      if (!phoneNumber) {
+        res.status(400);
+        throw new Error('Please provide a valid phone number.');
+      }
+    }
+    if (phoneNumber !== (user.phone_number || null)) {
+      // A different number has to be verified again
+      user.phone_verified = false;
+      user.phone_verified_at = undefined;
+    }
+    user.phone_number = phoneNumber;
 
     // Handle profile picture update if a new file is uploaded
     if (req.file) {
@@ -395,8 +614,12 @@ const updateUserProfile = asyncHandler(async (req, res, next) => {
     if (user.user_type === 'laborer') {
       user.bio = req.body.bio ? req.body.bio.trim() : null;
       user.hourly_rate = req.body.hourly_rate || user.hourly_rate; // Number, so no trim
-      // Multer processes form data, so skills might come as a JSON string if sent that way
-      user.skills = req.body.skills ? JSON.parse(req.body.skills) : user.skills;
+      // Multer processes form data, so skills might come as a JSON string if sent that way
+      if (req.body.skills) {
+        const skills = await normaliseSkills(req.body.skills, { keepRetired: user.skill_ids });
+        user.skills = skills.names;
+        user.skill_ids = skills.ids;
+      }
       // Convert 'true'/'false' string from FormData to boolean
       user.is_available = req.body.is_available !== undefined ? (req.body.is_available === 'true') : user.is_available;
     } else if (user.user_type === 'employer') {
@@ -404,28 +627,44 @@ const updateUserProfile = asyncHandler(async (req, res, next) => {
       user.company_description = req.body.company_description ? req.body.company_description.trim() : null;
     }
 
-    // Only update password if new password is provided and not empty
-    if (req.body.password && req.body.password.trim() !== '') {
-      user.password = req.body.password;
-    }
+    // Only update password if new password is provided and not empty
+    const passwordChanged = Boolean(req.body.password && req.body.password.trim() !== '');
+    if (passwordChanged) {
+      user.password = req.body.password;
+    }
+
+    const updatedUser = await user.save(); // This save should now pass validation for full_name and email
 
-    const updatedUser = await user.save(); // This save should now pass validation for full_name and email
+    // A new password signs out every other device; this one keeps its session
+    if (passwordChanged) {
+      await Session.revokeAllForUser(updatedUser._id, req.authSession._id);
+    }
 
-    // Re-generate token with potentially updated user info
-    const token = generateToken(updatedUser._id, updatedUser.user_type, updatedUser.username, updatedUser.email);
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (mailError) {
+        console.error('Error sending verification email after email change:', mailError);
+      }
+    }
+
+    // Re-generate token with potentially updated user info
+    const token = updatedUser.generateAuthToken(req.authSession._id);
 
     res.json({
       _id: updatedUser._id,
       username: updatedUser.username,
       email: updatedUser.email,
       full_name: updatedUser.full_name,
-      user_type: updatedUser.user_type,
-      profile_picture_url: updatedUser.profile_picture_url,
+      user_type: updatedUser.user_type,
+      email_verified: !updatedUser.needsEmailVerification(),
+      profile_picture_url: updatedUser.profile_picture_url,
       bio: updatedUser.bio,
       hourly_rate: updatedUser.hourly_rate,
       skills: updatedUser.skills,
       is_available: updatedUser.is_available,
-      phone_number: updatedUser.phone_number,
+      phone_number: updatedUser.phone_number,
+      phone_verified: updatedUser.phone_verified,
       company_name: updatedUser.company_name,
       company_description: updatedUser.company_description,
       createdAt: updatedUser.createdAt ? updatedUser.createdAt.toISOString() : null,
@@ -481,6 +720,108 @@ const updateUserLocation = async (req, res, next) => {
     }
 };
 
+// @desc        Download everything stored about the logged-in user as a zip archive
+// @route       GET /api/users/profile/export
+// @access      Private
+const exportMyData = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const [profile, jobs, applications, ratingsGiven, ratingsReceived, loginHistory, jobTemplates, savedJobs, savedSearches] = await Promise.all([
+    User.findById(userId).select('-password -failed_login_attempts -last_failed_login_at -lock_until').lean(),
+    Job.find({ employer_id: userId }).lean(),
+    Application.find({ applicant_id: userId }).populate('job_id', 'title city').lean(),
+    Rating.find({ rater_id: userId }).lean(),
+    Rating.find({ target_id: userId }).lean(),
+    LoginAttempt.find({ user_id: userId }).select('ip_address user_agent success failure_reason createdAt').lean(),
+    JobTemplate.find({ employer_id: userId }).lean(),
+    SavedJob.find({ user_id: userId }).populate('job_id', 'title city').lean(),
+    SavedSearch.find({ user_id: userId }).lean(),
+  ]);
+
+  // Files we host for this user, stored in the archive under files/
+  const uploadedFiles = [
+    profile.profile_picture_url,
+    ...jobs.map(job => job.image_url),
+    ...jobTemplates.map(template => template.image_url),
+    ...applications.flatMap(application => [application.resume_url, application.cover_letter_url]),
+  ]
+    .map(urlPath => ({ urlPath, absolutePath: resolveUploadPath(urlPath) }))
+    .filter(file => file.absolutePath && fs.existsSync(file.absolutePath));
+
+  const exportData = {
+    exported_at: new Date().toISOString(),
+    profile,
+    jobs_posted: jobs,
+    job_templates: jobTemplates,
+    saved_jobs: savedJobs,
+    saved_searches: savedSearches,
+    applications,
+    ratings_given: ratingsGiven,
+    ratings_received: ratingsReceived,
+    login_history: loginHistory,
+    files: uploadedFiles.map(file => file.urlPath),
+  };
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', (error) => {
+    console.error('Error building data export archive:', error);
+    res.destroy(error);
+  });
+
+  res.attachment(`geojob-data-export-${userId}.zip`);
+  archive.pipe(res);
+  archive.append(JSON.stringify(exportData, null, 2), { name: 'data.json' });
+  uploadedFiles.forEach(file => {
+    archive.file(file.absolutePath, { name: `files${file.urlPath.replace(/^\/uploads/, '')}` });
+  });
+  await archive.finalize();
+});
+
+// @desc        Schedule deletion of the logged-in user's account after a grace period
+// @route       DELETE /api/users/profile
+// @access      Private
+const requestAccountDeletion = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  // Confirm it is really the account owner
+  if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+    res.status(401);
+    throw new Error('Incorrect password');
+  }
+
+  if (user.deletion_scheduled_for) {
+    res.status(400);
+    throw new Error('Account deletion is already scheduled.');
+  }
+
+  user.deletion_requested_at = new Date();
+  user.deletion_scheduled_for = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  res.status(200).json({
+    message: `Your account will be deleted on ${user.deletion_scheduled_for.toDateString()}. Log in and cancel before then to keep it.`,
+    deletion_scheduled_for: user.deletion_scheduled_for,
+  });
+});
+
+// @desc        Cancel a scheduled account deletion
+// @route       POST /api/users/profile/cancel-deletion
+// @access      Private
+const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user.deletion_scheduled_for) {
+    res.status(400);
+    throw new Error('No account deletion is scheduled.');
+  }
+
+  user.deletion_requested_at = undefined;
+  user.deletion_scheduled_for = undefined;
+  await user.save();
+
+  res.status(200).json({ message: 'Account deletion cancelled' });
+});
+
 // --- Module Exports ---
 // This list MUST contain all functions used in your router files.
 module.exports = {
@@ -492,5 +833,12 @@ module.exports = {
   getAllLaborers,
   getLaborerProfileAndRatings,
   updateUserLocation, // This is the crucial fix for the TypeError
+  getLoginHistory,
+  verifyTwoFactorLogin,
+  startTwoFactorLoginSetup,
+  confirmTwoFactorLoginSetup,
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
   upload // Export upload middleware
 };
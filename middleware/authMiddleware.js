@@ -1,28 +1,129 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User'); 
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 
-const protect = async (req, res, next) => {
-  let token;
+// Verifies an access token and loads its user and session.
+// Throws an Error whose message explains why the token is not accepted.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Every access token must belong to a session that is still active
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive() || session.user_id.toString() !== decoded._id.toString()) {
+    throw new Error('Not authorized, session has been revoked');
+  }
+
+  const user = await User.findById(decoded._id).select('-password');
+  if (!user) {
+    throw new Error('Not authorized, user not found');
+  }
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new Error('Not authorized, password was changed. Please log in again');
+  }
+
+  return { user, session };
+};
 
+const getBearerToken = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      token = req.headers.authorization.split(' ')[1];
-      
-      const decoded = jwt.verify(token, process.env.JWT_SECRET); 
-      req.user = await User.findById(decoded._id).select('-password');
-      next(); 
-    } catch (error) {
-      res.status(401).json({ message: 'Not authorized, token failed' });
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Employer API keys are sent as "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+const getApiKey = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Place before protect to let a route accept an employer API key holding the given scope.
+// Routes without it reject API keys, so keys never reach account or admin endpoints.
+const allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+const protectWithApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({ message: 'This endpoint cannot be used with an API key.' });
+  }
+
+  try {
+    const apiKey = await ApiKey.findActiveByKey(key);
+    if (!apiKey) {
+      return res.status(401).json({ message: 'Not authorized, invalid or revoked API key' });
     }
-  } else {
-    console.log('Backend Auth Middleware: Authorization header missing or malformed.');
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+      return res.status(403).json({ message: `Forbidden: API key is missing the '${req.apiKeyScope}' scope.` });
+    }
+
+    const user = await User.findById(apiKey.employer_id).select('-password');
+    if (!user || user.user_type !== 'employer') {
+      return res.status(401).json({ message: 'Not authorized, API key owner not found' });
+    }
+
+    await apiKey.touch();
+    req.user = user;
+    req.apiKey = apiKey;
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return res.status(401).json({ message: 'Not authorized, API key failed' });
+  }
+
+  next();
+};
+
+const protect = async (req, res, next) => {
+  const apiKey = getApiKey(req);
+  if (apiKey) {
+    return protectWithApiKey(req, res, next, apiKey);
   }
 
+  const token = getBearerToken(req);
+
   if (!token) {
-    
-    res.status(401).json({ message: 'Not authorized, no token' });
-    return; 
+    console.log('Backend Auth Middleware: Authorization header missing or malformed.');
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
+
+  let auth;
+  try {
+    auth = await authenticateToken(token);
+  } catch (error) {
+    const message = error.message.startsWith('Not authorized') ? error.message : 'Not authorized, token failed';
+    return res.status(401).json({ message });
+  }
+
+  req.user = auth.user;
+  req.authSession = auth.session;
+  next();
+};
+
+// Like protect, but for public routes: attaches req.user when a valid token is
+// sent and otherwise carries on anonymously instead of rejecting the request.
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    try {
+      const auth = await authenticateToken(token);
+      req.user = auth.user;
+      req.authSession = auth.session;
+    } catch (error) {
+      // An expired or revoked token just means an anonymous viewer here
+    }
   }
+
+  next();
 };
 
 const authorizeRoles = (...roles) => {
@@ -34,4 +135,31 @@ const authorizeRoles = (...roles) => {
   };
 };
 
-module.exports = { protect, authorizeRoles };
\ No newline at end of file
+// Allows the request only if the user's roles grant every listed permission
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized, no token' });
+    }
+
+    // Resolve once per request, several checks may run on the same route
+    if (!req.permissions) {
+      req.permissions = await req.user.getPermissions();
+    }
+
+    if (!permissions.every(permission => req.permissions.includes(permission))) {
+      return res.status(403).json({ message: 'Forbidden: You do not have permission to access this resource.' });
+    }
+    next();
+  };
+};
+
+// Blocks accounts that have not confirmed their email address yet (admins are exempt)
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.user_type !== 'admin' && req.user.needsEmailVerification()) {
+    return res.status(403).json({ message: 'Please verify your email address before continuing.', code: 'EMAIL_NOT_VERIFIED' });
+  }
+  next();
+};
+
+module.exports = { protect, optionalAuth, allowApiKey, authorizeRoles, requirePermission, requireVerifiedEmail };
\ No newline at end of file
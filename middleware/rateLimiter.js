@@ -0,0 +1,43 @@
+// local-labor-backend/middleware/rateLimiter.js
+
+// Simple fixed-window, in-memory rate limiter. Good enough for a single server
+// process; counters reset when the server restarts.
+const createRateLimiter = ({
+    windowMs,
+    max,
+    message = 'Too many requests, please try again later.',
+    keyGenerator = (req) => req.ip,
+}) => {
+    const hits = new Map();
+
+    // Drop finished windows now and then so the map does not grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key);
+        });
+    }, windowMs);
+    cleanup.unref();
+
+    return (req, res, next) => {
+        const key = keyGenerator(req);
+        const now = Date.now();
+        let entry = hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        entry.count++;
+
+        if (entry.count > max) {
+            res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000).toString());
+            return res.status(429).json({ message });
+        }
+
+        next();
+    };
+};
+
+module.exports = { createRateLimiter };
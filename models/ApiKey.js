@@ -0,0 +1,74 @@
+// local-labor-backend/models/ApiKey.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Scopes an employer can grant to a key used by their own HR systems
+const API_KEY_SCOPES = ['jobs:read', 'jobs:write', 'applications:read', 'applications:write'];
+const KEY_PREFIX = 'gjk';
+
+// Keys look like gjk_<8 char lookup prefix>_<secret>. Only the SHA-256 hash of
+// the whole key is stored; the prefix is kept so users can tell keys apart.
+const ApiKeySchema = new mongoose.Schema({
+    employer_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    name: {
+        type: String,
+        required: [true, 'Please add a name for the API key'],
+        trim: true,
+        maxlength: [100, 'Name can not be more than 100 characters'],
+    },
+    prefix: { type: String, required: true },
+    key_hash: { type: String, required: true, unique: true },
+    scopes: {
+        type: [{ type: String, enum: API_KEY_SCOPES }],
+        validate: [scopes => scopes.length > 0, 'Please select at least one scope'],
+    },
+    last_used_at: { type: Date, default: null },
+    revoked_at: { type: Date, default: null },
+}, { timestamps: true });
+
+ApiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+ApiKeySchema.statics.hashKey = function (key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// --- Create a key and return it with the plain key (only ever shown once) ---
+ApiKeySchema.statics.generate = async function (employerId, name, scopes) {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = await this.create({
+        employer_id: employerId,
+        name,
+        prefix,
+        key_hash: this.hashKey(key),
+        scopes: [...new Set(scopes)],
+    });
+    return { apiKey, key };
+};
+
+ApiKeySchema.statics.findActiveByKey = function (key) {
+    return this.findOne({ key_hash: this.hashKey(key), revoked_at: null });
+};
+
+// --- Record usage, at most once a minute to avoid a write on every request ---
+ApiKeySchema.methods.touch = async function () {
+    if (!this.last_used_at || Date.now() - this.last_used_at.getTime() > 60 * 1000) {
+        this.last_used_at = new Date();
+        await this.constructor.updateOne({ _id: this._id }, { $set: { last_used_at: this.last_used_at } });
+    }
+};
+
+// Hide the hash whenever a key is sent to the client
+ApiKeySchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.key_hash;
+        return ret;
+    },
+});
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
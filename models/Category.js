@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Categories are nested at most this deep, e.g. Construction › Masonry › Stonework
+const MAX_CATEGORY_DEPTH = 3;
+
+// Job category tree managed by admins. `ancestors` holds every parent from the root down,
+// so "this category and all its subcategories" is a single query on ancestors.
+const CategorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a category name'],
+        trim: true,
+        maxlength: [60, 'Category name can not be more than 60 characters'],
+    },
+    slug: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description can not be more than 300 characters'],
+    },
+    parent_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+    },
+    ancestors: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+        index: true,
+    },
+    // Position among its siblings on the browse screen
+    sort_order: {
+        type: Number,
+        default: 0,
+    },
+    // Inactive categories stay on existing jobs but cannot be picked for new ones
+    is_active: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true,
+});
+
+// Names are unique among siblings
+CategorySchema.index({ parent_id: 1, slug: 1 }, { unique: true });
+
+CategorySchema.statics.MAX_CATEGORY_DEPTH = MAX_CATEGORY_DEPTH;
+
+// 'Painting & Decorating' -> 'painting-decorating'
+CategorySchema.statics.slugify = function (name) {
+    return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+};
+
+// Ids of the given categories and every category below them
+CategorySchema.statics.withDescendantIds = async function (categoryIds) {
+    const descendants = await this.find({ ancestors: { $in: categoryIds } }).select('_id').lean();
+    return [...categoryIds, ...descendants.map(category => category._id)];
+};
+
+module.exports = mongoose.model('Category', CategorySchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Answer of a geocoding provider for one normalised address, or for a rounded position in
+// reverse lookups (see utils/geocoder.js).
+// "Not found" answers are kept too, for a shorter time, so a typo is not looked up on every save.
+const GeocodeCacheSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true,
+    },
+    query: {
+        type: String, // Lower-cased, whitespace-collapsed address, or 'reverse:lat,lng'
+        required: true,
+    },
+    found: {
+        type: Boolean,
+        required: true,
+    },
+    coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined,
+    },
+    address_text: {
+        type: String,
+    },
+    city: {
+        type: String, // Reverse lookups only
+    },
+    expires_at: { type: Date, required: true },
+}, {
+    timestamps: true,
+});
+
+GeocodeCacheSchema.index({ provider: 1, query: 1 }, { unique: true });
+GeocodeCacheSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GeocodeCache', GeocodeCacheSchema);
@@ -1,5 +1,51 @@
 const mongoose = require('mongoose');
 
+// Statuses of jobs that have not been published yet and are only visible to their employer
+const UNPUBLISHED_STATUSES = ['Draft', 'Scheduled'];
+
+// Fields a job needs before it can go live; drafts may leave any of them empty
+const PUBLISH_REQUIRED_FIELDS = ['title', 'description', 'job_type', 'city', 'pay_rate_min', 'pay_rate_max', 'pay_type'];
+
+// Drafts are saved incomplete, every other status needs the full posting
+function requiredUnlessDraft() {
+    return this.status !== 'Draft';
+}
+
+// Coordinates may also be missing while the city is still being geocoded or could not be found
+function requiresLocation() {
+    return this.status !== 'Draft' && !this.geocode_status;
+}
+
+// Geocoding lookups that failed because the provider was unreachable are retried with a
+// doubling delay (5, 10, 20, ... minutes) before the job is marked 'failed'
+const GEOCODE_MAX_ATTEMPTS = 6;
+const GEOCODE_RETRY_BASE_MS = 5 * 60 * 1000;
+
+// One shift of a job, as wall-clock times in the job's timezone (see utils/shifts.js).
+// A shift whose end_time is not after its start_time ends the next day.
+const ShiftSchema = new mongoose.Schema({
+    repeat: {
+        type: String,
+        enum: ['none', 'weekly'], // 'none' = one-off on `date`; 'weekly' = every `days_of_week` between start_date and end_date
+        default: 'none',
+    },
+    date: {
+        type: String, // YYYY-MM-DD, one-off shifts only
+    },
+    days_of_week: {
+        type: [Number], // 0 = Sunday ... 6 = Saturday, weekly shifts only
+        default: undefined,
+    },
+    start_time: {
+        type: String, // HH:mm
+        required: true,
+    },
+    end_time: {
+        type: String, // HH:mm
+        required: true,
+    },
+}, { _id: false });
+
 const JobSchema = new mongoose.Schema({
     employer_id: {
         type: mongoose.Schema.Types.ObjectId,
@@ -8,81 +54,345 @@ const JobSchema = new mongoose.Schema({
     },
     title: {
         type: String,
-        required: [true, 'Please add a job title'],
+        required: [requiredUnlessDraft, 'Please add a job title'],
         trim: true,
         maxlength: [100, 'Title can not be more than 100 characters'],
     },
     description: {
         type: String,
-        required: [true, 'Please add a description'],
+        required: [requiredUnlessDraft, 'Please add a description'],
         maxlength: [1000, 'Description can not be more than 1000 characters'],
     },
     job_type: {
         type: String,
         enum: ['Full-time', 'Part-time', 'Contract', 'Temporary', 'Seasonal'],
-        required: [true, 'Please select a job type'],
+        required: [requiredUnlessDraft, 'Please select a job type'],
+    },
+    // Category from the admin-managed tree (see models/Category.js). Not required by the schema so
+    // jobs posted before categories existed can still be saved; missingPublishFields asks for it.
+    category_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+        index: true,
     },
     city: {
         type: String,
-        required: [true, 'Please add a city'],
+        required: [requiredUnlessDraft, 'Please add a city'],
+        trim: true,
+    },
+    // Street address or directions typed by the employer, geocoded before the city alone
+    address: {
+        type: String,
         trim: true,
+        maxlength: [200, 'Address can not be more than 200 characters'],
+        default: null,
     },
     // GeoJSON Point for location
     location: {
         type: {
             type: String,
-            enum: ['Point'],
-            default: 'Point', // Default to 'Point'
+            enum: ['Point'], // Always set together with the coordinates
         },
         coordinates: {
             type: [Number], // Array of numbers [longitude, latitude]
-            required: [true, 'Please add coordinates (longitude, latitude)'],
+            default: undefined, // Drafts without a city and jobs still being geocoded have no location at all
+            required: [requiresLocation, 'Please add coordinates (longitude, latitude)'],
             index: '2dsphere' // This is crucial for geospatial queries
         },
         address_text: { // To store the human-readable address
             type: String,
             trim: true,
             required: false // Optional
-        }
+        },
+        // True when the employer dropped a pin instead of having the address geocoded
+        pinned: {
+            type: Boolean,
+        },
+    },
+    // Set while the city has no coordinates yet: 'pending' until workers/geocodeRetryWorker.js
+    // resolves it, 'failed' when the city could not be found. Null once the location is known.
+    geocode_status: {
+        type: String,
+        enum: ['pending', 'failed'],
+        default: null,
+    },
+    geocode_attempts: {
+        type: Number,
+        default: 0,
+    },
+    geocode_error: {
+        type: String,
+        default: null,
+    },
+    geocode_retry_at: {
+        type: Date,
+        default: null,
     },
     pay_rate_min: {
         type: Number,
-        required: [true, 'Please add a minimum pay rate'],
+        required: [requiredUnlessDraft, 'Please add a minimum pay rate'],
         min: [0, 'Minimum pay rate cannot be negative'],
     },
     pay_rate_max: {
         type: Number,
-        required: [true, 'Please add a maximum pay rate'],
+        required: [requiredUnlessDraft, 'Please add a maximum pay rate'],
         min: [0, 'Maximum pay rate cannot be negative'],
     },
     pay_type: {
         type: String,
         enum: ['Hourly', 'Fixed Price', 'Daily', 'Weekly', 'Monthly'],
-        required: [true, 'Please select a pay type'],
+        required: [requiredUnlessDraft, 'Please select a pay type'],
     },
     application_deadline: {
         type: Date,
         default: null, // Optional
     },
+    // First and last calendar day of work (YYYY-MM-DD in the job's timezone)
+    start_date: {
+        type: String,
+        default: null,
+    },
+    end_date: {
+        type: String,
+        default: null,
+    },
+    timezone: {
+        type: String,
+        default: 'UTC', // IANA name, e.g. 'Africa/Lagos'
+    },
+    shifts: {
+        type: [ShiftSchema],
+        default: [],
+    },
     required_skills: {
-        type: [String], // Array of strings
+        type: [String], // Canonical skill names for display (see utils/skills.js)
         default: [],
     },
+    // required_skill_ids[i] is the catalogue id of required_skills[i]. Names after the last id are
+    // old free-text skills that the migration could not map yet. Matching uses the ids.
+    required_skill_ids: {
+        type: [mongoose.Schema.Types.ObjectId],
+        ref: 'Skill',
+        default: [],
+        index: true,
+    },
+    // How many workers the job needs; positions_filled is kept in sync with Accepted applications
+    positions_total: {
+        type: Number,
+        default: 1,
+        min: [1, 'A job needs at least one position'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Number of positions must be a whole number',
+        },
+    },
+    positions_filled: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
     image_url: {
         type: String,
         default: '/uploads/geo_job_default.jpg', // Default image path for consistency
     },
     status: {
         type: String,
-        enum: ['Active', 'Filled', 'Closed'], // Order adjusted for common usage
+        enum: ['Draft', 'Scheduled', 'Active', 'Filled', 'Closed'], // Order adjusted for common usage
         default: 'Active',
     },
+    // When a Scheduled job goes live (see workers/jobPublisher.js)
+    publish_at: {
+        type: Date,
+        default: null,
+    },
     posted_at: {
         type: Date,
         default: Date.now,
     },
+    // Set when the employer was warned that the deadline is close (see workers/jobExpiryWorker.js)
+    expiry_notified_at: {
+        type: Date,
+        default: null,
+    },
+    // Set when the job was closed automatically because its deadline passed
+    auto_closed_at: {
+        type: Date,
+        default: null,
+    },
+    // Set when the job was marked Filled automatically because every position was taken
+    auto_filled_at: {
+        type: Date,
+        default: null,
+    },
 }, {
     timestamps: true, // Adds createdAt and updatedAt automatically
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    id: false, // No duplicate string id next to _id in responses
 });
 
+JobSchema.virtual('positions_remaining').get(function () {
+    return Math.max((this.positions_total || 0) - (this.positions_filled || 0), 0);
+});
+
+// Lets getAllJobs filter by working day (?worksOn=)
+JobSchema.index({ start_date: 1, end_date: 1 });
+
+// Lets the publisher find scheduled jobs that are due
+JobSchema.index({ status: 1, publish_at: 1 });
+
+// Lets the geocode retry worker find jobs that are due for another lookup
+JobSchema.index({ geocode_status: 1, geocode_retry_at: 1 });
+
+// Lets the expiry worker find active jobs by deadline quickly
+JobSchema.index({ status: 1, application_deadline: 1 });
+
+// Weighted full-text index for keyword search in getAllJobs (?q=)
+JobSchema.index(
+    { title: 'text', required_skills: 'text', description: 'text' },
+    { weights: { title: 10, required_skills: 5, description: 1 }, name: 'job_text_search' }
+);
+
+JobSchema.statics.UNPUBLISHED_STATUSES = UNPUBLISHED_STATUSES;
+
+JobSchema.methods.isPublished = function () {
+    return !UNPUBLISHED_STATUSES.includes(this.status);
+};
+
+// Names of the fields still missing before this job can be published. Pass requireCategory: false
+// for jobs that were published or scheduled before categories existed.
+JobSchema.methods.missingPublishFields = function ({ requireCategory = true } = {}) {
+    const missing = PUBLISH_REQUIRED_FIELDS.filter(field => {
+        const value = this[field];
+        return value === undefined || value === null || value === '';
+    });
+    if (requireCategory && !this.category_id) missing.push('category');
+    const hasLocation = this.location && Array.isArray(this.location.coordinates) && this.location.coordinates.length === 2;
+    // A pending lookup will fill in the location later; a failed one needs a different city
+    if (!hasLocation && this.geocode_status !== 'pending') {
+        if (!missing.includes('city')) missing.push('location');
+    }
+    return missing;
+};
+
+// Addresses to geocode for this job, most precise first
+JobSchema.methods.geocodeQueries = function () {
+    const queries = [];
+    if (this.address) queries.push(this.city ? `${this.address}, ${this.city}` : this.address);
+    if (this.city) queries.push(this.city);
+    return queries;
+};
+
+// Store the outcome of geocoding the job's city (a result of utils/geocoder.js geocodeAddress).
+// Provider errors are retried later; an address the provider does not know fails right away.
+JobSchema.methods.applyGeocodeResult = function (result, now = new Date()) {
+    if (result.status === 'found') {
+        this.location = result.location;
+        this.geocode_status = null;
+        this.geocode_attempts = 0;
+        this.geocode_error = null;
+        this.geocode_retry_at = null;
+        return this;
+    }
+
+    this.location = undefined; // Never a made-up position that would show up in distance searches
+    this.geocode_attempts = (this.geocode_attempts || 0) + 1;
+    if (result.status === 'error' && this.geocode_attempts < GEOCODE_MAX_ATTEMPTS) {
+        this.geocode_status = 'pending';
+        this.geocode_error = result.error;
+        this.geocode_retry_at = new Date(now.getTime() + GEOCODE_RETRY_BASE_MS * Math.pow(2, this.geocode_attempts - 1));
+    } else {
+        this.geocode_status = 'failed';
+        this.geocode_error = result.status === 'not_found'
+            ? `Could not find the location "${this.geocodeQueries()[0] || this.city}"`
+            : result.error;
+        this.geocode_retry_at = null;
+    }
+    return this;
+};
+
+// Recount the Accepted applications of a job and move it between Active and Filled to match.
+// Only jobs that were filled automatically reopen; a job the employer marked Filled stays Filled.
+JobSchema.statics.syncFilledPositions = async function (jobId) {
+    const job = await this.findById(jobId);
+    if (!job) return null;
+
+    job.positions_filled = await mongoose.model('Application').countDocuments({ job_id: job._id, status: 'Accepted' });
+
+    if (job.status === 'Active' && job.positions_filled >= job.positions_total) {
+        job.status = 'Filled';
+        job.auto_filled_at = new Date();
+    } else if (job.status === 'Filled' && job.auto_filled_at && job.positions_filled < job.positions_total) {
+        job.status = 'Active';
+        job.auto_filled_at = null;
+    }
+
+    return job.save();
+};
+
+// Take one position for an acceptance in a single conditional update, so two acceptances at the
+// same moment cannot both get the last one. Marks the job Filled when that was the last position.
+// Resolves to the updated job, or null when every position is already taken.
+JobSchema.statics.reservePosition = async function (jobId) {
+    const job = await this.findOneAndUpdate(
+        { _id: jobId, $expr: { $lt: [{ $ifNull: ['$positions_filled', 0] }, { $ifNull: ['$positions_total', 1] }] } },
+        { $inc: { positions_filled: 1 } },
+        { new: true }
+    );
+    if (job && job.status === 'Active' && job.positions_filled >= job.positions_total) {
+        const filled = await this.findOneAndUpdate(
+            { _id: jobId, status: 'Active' },
+            { $set: { status: 'Filled', auto_filled_at: new Date() } },
+            { new: true }
+        );
+        return filled || job;
+    }
+    return job;
+};
+
+// Give a position back when an accepted worker is dropped, reopening a job that was filled automatically
+JobSchema.statics.releasePosition = async function (jobId) {
+    const job = await this.findOneAndUpdate(
+        { _id: jobId, positions_filled: { $gt: 0 } },
+        { $inc: { positions_filled: -1 } },
+        { new: true }
+    );
+    if (job && job.status === 'Filled' && job.auto_filled_at && job.positions_filled < job.positions_total) {
+        const reopened = await this.findOneAndUpdate(
+            { _id: jobId, status: 'Filled', auto_filled_at: { $ne: null } },
+            { $set: { status: 'Active', auto_filled_at: null } },
+            { new: true }
+        );
+        return reopened || job;
+    }
+    return job;
+};
+
+// One-off for jobs saved before positions were counted: store how many of their applications are
+// already Accepted, and a headcount of 1 or, when more were accepted, that many. Only touches jobs without the fields, so it is cheap to
+// run on every start.
+JobSchema.statics.backfillPositions = async function () {
+    const jobs = await this.find({ $or: [{ positions_filled: { $exists: false } }, { positions_total: { $exists: false } }] })
+        .select('_id')
+        .lean();
+    if (jobs.length === 0) return 0;
+
+    const jobIds = jobs.map(job => job._id);
+    const counts = await mongoose.model('Application').aggregate([
+        { $match: { job_id: { $in: jobIds }, status: 'Accepted' } },
+        { $group: { _id: '$job_id', count: { $sum: 1 } } },
+    ]);
+    const acceptedCounts = new Map(counts.map(item => [item._id.toString(), item.count]));
+
+    await this.bulkWrite(jobIds.flatMap((id) => {
+        const accepted = acceptedCounts.get(id.toString()) || 0;
+        return [
+            { updateOne: { filter: { _id: id, positions_total: { $exists: false } }, update: { $set: { positions_total: Math.max(1, accepted) } } } },
+            { updateOne: { filter: { _id: id, positions_filled: { $exists: false } }, update: { $set: { positions_filled: accepted } } } },
+        ];
+    }));
+    return jobIds.length;
+};
+
 module.exports = mongoose.model('Job', JobSchema);
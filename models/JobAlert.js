@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// In-app record of a newly published job that matched one of a laborer's saved searches
+const JobAlertSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    saved_search_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SavedSearch',
+        required: true,
+    },
+    job_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true,
+        index: true, // Cleanup when a job is deleted
+    },
+    // Set once the alert went out by email/SMS (right away or in the daily digest)
+    delivered_at: {
+        type: Date,
+        default: null,
+    },
+    read_at: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+// One alert per job and search, even if the matcher runs twice for a job
+JobAlertSchema.index({ saved_search_id: 1, job_id: 1 }, { unique: true });
+JobAlertSchema.index({ user_id: 1, createdAt: -1 });
+
+module.exports = mongoose.model('JobAlert', JobAlertSchema);
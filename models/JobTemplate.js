@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// A reusable set of job fields an employer can post from again and again.
+// Everything but the name is optional; createJob fills in what the template lacks.
+const JobTemplateSchema = new mongoose.Schema({
+    employer_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    name: {
+        type: String,
+        required: [true, 'Please give the template a name'],
+        trim: true,
+        maxlength: [100, 'Template name can not be more than 100 characters'],
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title can not be more than 100 characters'],
+    },
+    description: {
+        type: String,
+        maxlength: [1000, 'Description can not be more than 1000 characters'],
+    },
+    job_type: {
+        type: String,
+        enum: ['Full-time', 'Part-time', 'Contract', 'Temporary', 'Seasonal'],
+    },
+    category_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+    },
+    city: {
+        type: String,
+        trim: true,
+    },
+    // Geocoded location of `city`, reused when posting so the city is not looked up again
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+        },
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            default: undefined,
+        },
+        address_text: {
+            type: String,
+            trim: true,
+        },
+    },
+    pay_rate_min: {
+        type: Number,
+        min: [0, 'Minimum pay rate cannot be negative'],
+    },
+    pay_rate_max: {
+        type: Number,
+        min: [0, 'Maximum pay rate cannot be negative'],
+    },
+    pay_type: {
+        type: String,
+        enum: ['Hourly', 'Fixed Price', 'Daily', 'Weekly', 'Monthly'],
+    },
+    required_skills: {
+        type: [String],
+        default: [],
+    },
+    positions_total: {
+        type: Number,
+        min: [1, 'A job needs at least one position'],
+    },
+    timezone: {
+        type: String,
+    },
+    image_url: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+});
+
+JobTemplateSchema.index({ employer_id: 1, name: 1 }, { unique: true });
+
+// Fields in the shape createJob reads from a request body
+JobTemplateSchema.methods.toJobFields = function () {
+    const fields = {
+        title: this.title,
+        description: this.description,
+        job_type: this.job_type,
+        category_id: this.category_id,
+        city: this.city,
+        pay_rate_min: this.pay_rate_min,
+        pay_rate_max: this.pay_rate_max,
+        pay_type: this.pay_type,
+        required_skills: this.required_skills.length > 0 ? this.required_skills.join(',') : undefined,
+        positions_total: this.positions_total,
+        timezone: this.timezone,
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+};
+
+module.exports = mongoose.model('JobTemplate', JobTemplateSchema);
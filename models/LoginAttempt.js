@@ -0,0 +1,43 @@
+// local-labor-backend/models/LoginAttempt.js
+const mongoose = require('mongoose');
+
+const LOGIN_HISTORY_RETENTION_DAYS = 90;
+
+// Every login attempt, successful or not. Used for per-IP throttling and
+// shown to users as their login history.
+const LoginAttemptSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null, // Unknown email addresses have no user
+    },
+    email: { type: String, trim: true },
+    ip_address: { type: String },
+    user_agent: { type: String },
+    success: { type: Boolean, required: true },
+    failure_reason: {
+        type: String,
+        enum: ['invalid_credentials', 'invalid_two_factor_code', 'account_locked', 'too_many_attempts', 'ip_blocked', null],
+        default: null,
+    },
+}, { timestamps: true });
+
+LoginAttemptSchema.index({ user_id: 1, createdAt: -1 });
+LoginAttemptSchema.index({ ip_address: 1, success: 1, createdAt: -1 });
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Attempts turned away before the password was checked. They are kept in the history but are not
+// guesses, so they do not count towards (and keep extending) the per-IP limit.
+const BLOCKED_FAILURE_REASONS = ['account_locked', 'too_many_attempts', 'ip_blocked'];
+
+// --- Count failed attempts from one IP address inside a time window ---
+LoginAttemptSchema.statics.countRecentFailuresFromIp = function (ipAddress, windowMs) {
+    return this.countDocuments({
+        ip_address: ipAddress,
+        success: false,
+        failure_reason: { $nin: BLOCKED_FAILURE_REASONS },
+        createdAt: { $gte: new Date(Date.now() - windowMs) },
+    });
+};
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
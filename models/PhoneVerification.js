@@ -0,0 +1,32 @@
+// local-labor-backend/models/PhoneVerification.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One pending one-time code per user. The code is stored hashed and is only
+// valid for the phone number it was sent to.
+const PhoneVerificationSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true,
+    },
+    phone_number: { type: String, required: true },
+    code_hash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    expires_at: { type: Date, required: true },
+}, { timestamps: true });
+
+PhoneVerificationSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+PhoneVerificationSchema.statics.hashCode = function (userId, code) {
+    return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+};
+
+PhoneVerificationSchema.methods.matches = function (code) {
+    const candidate = Buffer.from(this.constructor.hashCode(this.user_id, code));
+    const expected = Buffer.from(this.code_hash);
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+module.exports = mongoose.model('PhoneVerification', PhoneVerificationSchema);
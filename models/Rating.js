@@ -5,7 +5,7 @@ const RatingSchema = new mongoose.Schema({
   rater_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User', // The user who gives the rating
-    required: true,
+    default: null, // Cleared when the rater deletes their account, the rating stays anonymous
   },
   target_id: {
     type: mongoose.Schema.Types.ObjectId,
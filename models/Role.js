@@ -0,0 +1,40 @@
+// local-labor-backend/models/Role.js
+const mongoose = require('mongoose');
+const { PERMISSIONS, SYSTEM_ROLES, DEFAULT_ADMIN_ROLE } = require('../utils/permissions');
+
+// A named bundle of permissions that can be assigned to users
+const RoleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a role name'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        maxlength: [50, 'Role name can not be more than 50 characters'],
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description can not be more than 200 characters'],
+    },
+    permissions: {
+        type: [{ type: String, enum: Object.keys(PERMISSIONS) }],
+        default: [],
+    },
+    is_system: { type: Boolean, default: false },
+}, { timestamps: true });
+
+// --- Create the built-in roles if they do not exist yet ---
+RoleSchema.statics.ensureSystemRoles = async function () {
+    for (const role of SYSTEM_ROLES) {
+        await this.updateOne(
+            { name: role.name },
+            { $setOnInsert: { ...role, is_system: true } },
+            { upsert: true }
+        );
+    }
+    // The admin bundle always carries every permission, including ones added later
+    await this.updateOne({ name: DEFAULT_ADMIN_ROLE }, { $set: { permissions: Object.keys(PERMISSIONS) } });
+};
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A job a laborer bookmarked to come back to later
+const SavedJobSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    job_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true,
+        index: true, // Cleanup when a job is deleted
+    },
+}, {
+    timestamps: true, // createdAt doubles as the time the job was saved
+});
+
+// A job can only be saved once per laborer; also serves the "my saved jobs" list
+SavedJobSchema.index({ user_id: 1, job_id: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedJob', SavedJobSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { distanceInMeters, hasCoordinates } = require('../utils/geo');
+const { sharedSkillIds } = require('../utils/skills');
+
+const FREQUENCIES = ['instant', 'daily'];
+
+// A named set of getAllJobs filters a laborer wants to be alerted about
+const SavedSearchSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    name: {
+        type: String,
+        required: [true, 'Please give the search a name'],
+        trim: true,
+        maxlength: [100, 'Search name can not be more than 100 characters'],
+    },
+    filters: {
+        // Center of the search area (?lat=&long=), with max_distance in meters (?maxDistance=)
+        location: {
+            type: {
+                type: String,
+                enum: ['Point'],
+            },
+            coordinates: {
+                type: [Number], // [longitude, latitude]
+                default: undefined,
+            },
+        },
+        max_distance: { type: Number, min: 0 },
+        skills: { type: [String], default: [] }, // ?skills=, canonical names for display
+        skill_ids: { type: [mongoose.Schema.Types.ObjectId], ref: 'Skill', default: [] }, // What matching uses
+        job_types: { type: [String], default: [] }, // ?jobType=
+        min_pay: { type: Number, min: 0 }, // ?minPay=
+    },
+    // instant: alert as soon as a matching job is published; daily: one digest a day
+    frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        default: 'instant',
+    },
+    // Delivery channels on top of the in-app alert (see utils/jobAlerts.js)
+    channels: {
+        type: [String],
+        default: ['email'],
+    },
+    is_active: {
+        type: Boolean,
+        default: true,
+    },
+    last_digest_at: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+SavedSearchSchema.statics.FREQUENCIES = FREQUENCIES;
+
+// Same rules as the matching getAllJobs filters: skills match on catalogue ids, job types
+// case-insensitively on part of the value, pay on the top of the job's range, location within the radius.
+SavedSearchSchema.methods.matchesJob = function (job) {
+    const { location, max_distance, skill_ids, job_types, min_pay } = this.filters;
+
+    if (skill_ids.length > 0 && sharedSkillIds(skill_ids, job.required_skill_ids || []).length === 0) {
+        return false;
+    }
+    if (job_types.length > 0) {
+        const jobType = (job.job_type || '').toLowerCase();
+        if (!job_types.some(type => jobType.includes(type.toLowerCase()))) return false;
+    }
+    if (min_pay !== undefined && min_pay !== null && !(job.pay_rate_max >= min_pay)) {
+        return false;
+    }
+    if (hasCoordinates(location)) {
+        if (!hasCoordinates(job.location)) return false;
+        if (distanceInMeters(location.coordinates, job.location.coordinates) > max_distance) return false;
+    }
+    return true;
+};
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
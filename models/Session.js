@@ -0,0 +1,92 @@
+// local-labor-backend/models/Session.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// One document per signed-in device. Access tokens carry the session id (sid)
+// so the auth middleware can reject them as soon as the session is revoked.
+const SessionSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    // Only the SHA-256 hash of the refresh token is stored, never the token itself
+    refresh_token_hash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    user_agent: { type: String },
+    ip_address: { type: String },
+    last_used_at: { type: Date, default: Date.now },
+    expires_at: { type: Date, required: true },
+    revoked_at: { type: Date, default: null },
+}, { timestamps: true });
+
+// Let MongoDB purge sessions once the refresh token has expired
+SessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+SessionSchema.statics.generateRefreshToken = function () {
+    return crypto.randomBytes(48).toString('hex');
+};
+
+// --- Create a session for a user and return it with its plain refresh token ---
+SessionSchema.statics.createForUser = async function (userId, { userAgent, ipAddress } = {}) {
+    const refreshToken = this.generateRefreshToken();
+    const session = await this.create({
+        user_id: userId,
+        refresh_token_hash: this.hashToken(refreshToken),
+        user_agent: userAgent,
+        ip_address: ipAddress,
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+    return { session, refreshToken };
+};
+
+// --- Find a usable session by its plain refresh token ---
+SessionSchema.statics.findActiveByRefreshToken = function (refreshToken) {
+    return this.findOne({
+        refresh_token_hash: this.hashToken(refreshToken),
+        revoked_at: null,
+        expires_at: { $gt: new Date() },
+    });
+};
+
+// --- Revoke every active session of a user, optionally keeping one ---
+SessionSchema.statics.revokeAllForUser = function (userId, exceptSessionId) {
+    const filter = { user_id: userId, revoked_at: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    return this.updateMany(filter, { $set: { revoked_at: new Date() } });
+};
+
+SessionSchema.methods.isActive = function () {
+    return !this.revoked_at && this.expires_at > new Date();
+};
+
+// --- Swap the refresh token for a new one (rotation on every refresh) ---
+SessionSchema.methods.rotateRefreshToken = async function () {
+    const refreshToken = this.constructor.generateRefreshToken();
+    this.refresh_token_hash = this.constructor.hashToken(refreshToken);
+    this.last_used_at = new Date();
+    await this.save();
+    return refreshToken;
+};
+
+SessionSchema.methods.revoke = async function () {
+    if (!this.revoked_at) {
+        this.revoked_at = new Date();
+        await this.save();
+    }
+    return this;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
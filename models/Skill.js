@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// 'Plumbing  Work!' -> 'plumbing work'. Names and aliases are compared in this form.
+const normaliseSkillName = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+#&]+/g, ' ')
+    .trim();
+
+// Entry of the managed skills catalogue (see utils/skills.js). User.skills and Job.required_skills
+// hold the canonical `name` for display; skill_ids / required_skill_ids are what matching uses.
+const SkillSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a skill name'],
+        trim: true,
+        maxlength: [60, 'Skill name can not be more than 60 characters'],
+    },
+    // Other ways people write the same skill, e.g. 'plumber' and 'plumbing work' for Plumbing
+    aliases: {
+        type: [String],
+        default: [],
+    },
+    // Normalised name and aliases. Unique across the catalogue, so every spelling leads to one skill.
+    keys: {
+        type: [String],
+        default: [],
+        index: { unique: true },
+    },
+    // Retired skills stay on existing profiles and jobs but cannot be picked again
+    is_active: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true,
+});
+
+SkillSchema.pre('validate', function (next) {
+    this.aliases = [...new Set(this.aliases.map(alias => alias.trim()).filter(Boolean))];
+    this.keys = [...new Set([this.name, ...this.aliases].map(normaliseSkillName).filter(Boolean))];
+    next();
+});
+
+SkillSchema.statics.normaliseSkillName = normaliseSkillName;
+
+module.exports = mongoose.model('Skill', SkillSchema);
@@ -2,10 +2,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
 const jwt = require('jsonwebtoken'); // For JWT tokens
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { DEFAULT_ADMIN_ROLE } = require('../utils/permissions');
 
 const UserSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true },
     email: { type: String, required: true, unique: true },
+    // New accounts start unverified (set explicitly in registerUser). Accounts created
+    // before email verification existed have no value and are treated as verified.
+    email_verified: { type: Boolean },
+    email_verified_at: { type: Date },
     password: { type: String, required: true }, // Will store hashed password
     full_name: { type: String, required: true },
     user_type: {
@@ -13,7 +20,12 @@ const UserSchema = new mongoose.Schema({
         enum: ['laborer', 'employer', 'admin'],
         required: true,
     },
+    // Permission bundles for back-office access (see models/Role.js)
+    roles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Role' }],
     phone_number: { type: String },
+    // Confirmed by SMS one-time code; reset whenever phone_number changes
+    phone_verified: { type: Boolean, default: false },
+    phone_verified_at: { type: Date },
     profile_picture_url: { type: String, default: 'https://via.placeholder.com/150' },
     
     // --- NEW FIELD ADDED ---
@@ -24,7 +36,8 @@ const UserSchema = new mongoose.Schema({
     bio: { type: String },
     hourly_rate: { type: Number },
     is_available: { type: Boolean, default: true },
-    skills: [{ type: String }],
+    skills: [{ type: String }], // Canonical skill names for display (see utils/skills.js)
+    skill_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Skill', index: true }], // skill_ids[i] is the catalogue id of skills[i]
     
     // Geospatial location for laborers (GeoJSON Point)
     current_location: {
@@ -36,8 +49,37 @@ const UserSchema = new mongoose.Schema({
     // For Employer specific fields (only if user_type is 'employer')
     company_name: { type: String },
     company_description: { type: String },
+
+    // Set whenever the password changes; tokens issued before this are rejected
+    password_changed_at: { type: Date },
+
+    // Brute-force protection: consecutive failed logins and temporary lockout
+    failed_login_attempts: { type: Number, default: 0 },
+    last_failed_login_at: { type: Date },
+    lock_until: { type: Date },
+
+    // Time-based two-factor authentication (optional for employers, mandatory for admins).
+    // Secrets and recovery code hashes are never returned unless explicitly selected.
+    two_factor_enabled: { type: Boolean, default: false },
+    two_factor_enabled_at: { type: Date },
+    two_factor_secret: { type: String, select: false },
+    two_factor_pending_secret: { type: String, select: false },
+    two_factor_recovery_codes: { type: [String], select: false },
+
+    // Self-service account deletion: the account is removed once the grace period ends
+    deletion_requested_at: { type: Date },
+    deletion_scheduled_for: { type: Date, index: true },
 }, { timestamps: true });
 
+const TWO_FACTOR_SECRET_FIELDS = '+two_factor_secret +two_factor_pending_secret +two_factor_recovery_codes';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'GeoJob';
+const RECOVERY_CODE_COUNT = 10;
+
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+const LOGIN_DELAY_AFTER_FAILURES = 3;
+const MAX_LOGIN_DELAY_SECONDS = 30;
+
 
 UserSchema.index({ current_location: '2dsphere' }); 
 
@@ -49,6 +91,10 @@ UserSchema.pre('save', async function (next) {
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+        // Back-date by a second so a token signed right after the change (iat is in whole seconds) stays valid
+        this.password_changed_at = new Date(Date.now() - 1000);
+    }
     next();
 });
 
@@ -57,17 +103,182 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// --- Method to generate JWT ---
-UserSchema.methods.generateAuthToken = function () {
+// --- Methods for failed-login tracking and lockout ---
+UserSchema.methods.isLocked = function () {
+    return Boolean(this.lock_until && this.lock_until > new Date());
+};
+
+// Seconds the user still has to wait before another attempt is accepted.
+// After a few failures each further attempt has to wait twice as long as the last one.
+UserSchema.methods.loginDelaySeconds = function () {
+    if (this.failed_login_attempts < LOGIN_DELAY_AFTER_FAILURES || !this.last_failed_login_at) {
+        return 0;
+    }
+    const delay = Math.min(2 ** (this.failed_login_attempts - LOGIN_DELAY_AFTER_FAILURES + 1), MAX_LOGIN_DELAY_SECONDS);
+    const elapsed = (Date.now() - this.last_failed_login_at.getTime()) / 1000;
+    return Math.max(0, Math.ceil(delay - elapsed));
+};
+
+// Counted in one atomic update, so parallel wrong guesses cannot overwrite each other's counts
+UserSchema.methods.registerFailedLogin = async function () {
+    const now = new Date();
+    const hasLock = { $eq: [{ $type: '$lock_until' }, 'date'] };
+    const lockExpired = { $and: [hasLock, { $lte: ['$lock_until', now] }] };
+
+    const updated = await this.constructor.findOneAndUpdate({ _id: this._id }, [
+        // A lock that has run out starts a fresh count
+        { $set: {
+            failed_login_attempts: { $add: [{ $cond: [lockExpired, 0, { $ifNull: ['$failed_login_attempts', 0] }] }, 1] },
+            lock_until: { $cond: [lockExpired, '$$REMOVE', '$lock_until'] },
+            last_failed_login_at: now,
+        } },
+        // Lock once the limit is reached; a lock that is already running is not extended
+        { $set: {
+            lock_until: {
+                $cond: [
+                    { $and: [{ $gte: ['$failed_login_attempts', MAX_FAILED_LOGINS] }, { $not: [hasLock] }] },
+                    new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000),
+                    '$lock_until',
+                ],
+            },
+        } },
+    ], { new: true, projection: 'failed_login_attempts last_failed_login_at lock_until' });
+
+    if (updated) {
+        this.failed_login_attempts = updated.failed_login_attempts;
+        this.last_failed_login_at = updated.last_failed_login_at;
+        this.lock_until = updated.lock_until;
+    }
+};
+
+UserSchema.methods.resetLoginAttempts = async function () {
+    if (this.failed_login_attempts === 0 && !this.lock_until) {
+        return;
+    }
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { failed_login_attempts: 0 }, $unset: { last_failed_login_at: 1, lock_until: 1 } }
+    );
+    this.failed_login_attempts = 0;
+    this.last_failed_login_at = undefined;
+    this.lock_until = undefined;
+};
+
+// --- Two-factor authentication ---
+UserSchema.statics.findByIdWithTwoFactor = function (id) {
+    return this.findById(id).select(TWO_FACTOR_SECRET_FIELDS);
+};
+
+// Admins, and any account holding a role (every role permission is back-office access),
+// have to use two-factor authentication
+UserSchema.methods.requiresTwoFactor = function () {
+    return this.user_type === 'admin' || (this.roles || []).length > 0;
+};
+
+// Such accounts cannot sign in until they have set it up
+UserSchema.methods.mustEnrollTwoFactor = function () {
+    return this.requiresTwoFactor() && !this.two_factor_enabled;
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(String(code).toLowerCase().replace(/\s/g, '')).digest('hex');
+
+// Start (or restart) enrollment: the secret only becomes active once confirmed with a code
+UserSchema.methods.startTwoFactorEnrollment = async function () {
+    const secret = totp.generateSecret();
+    this.two_factor_pending_secret = secret;
+    await this.save();
+    return { secret, otpauthUrl: totp.buildOtpauthUrl(secret, this.email, TWO_FACTOR_ISSUER) };
+};
+
+// Replace the recovery codes and return the new plain codes (shown to the user once)
+UserSchema.methods.generateRecoveryCodes = function () {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    this.two_factor_recovery_codes = codes.map(hashRecoveryCode);
+    return codes;
+};
+
+// Returns the recovery codes when the code matches the pending secret, null otherwise
+UserSchema.methods.confirmTwoFactorEnrollment = async function (code) {
+    if (!this.two_factor_pending_secret || !totp.verifyCode(this.two_factor_pending_secret, code)) {
+        return null;
+    }
+    this.two_factor_secret = this.two_factor_pending_secret;
+    this.two_factor_pending_secret = undefined;
+    this.two_factor_enabled = true;
+    this.two_factor_enabled_at = new Date();
+    const recoveryCodes = this.generateRecoveryCodes();
+    await this.save();
+    return recoveryCodes;
+};
+
+// Accepts either a current authenticator code or an unused recovery code (which is then used up)
+UserSchema.methods.verifySecondFactor = async function ({ code, recoveryCode }) {
+    if (!this.two_factor_enabled || !this.two_factor_secret) {
+        return false;
+    }
+    if (code) {
+        return totp.verifyCode(this.two_factor_secret, code);
+    }
+    if (recoveryCode) {
+        const index = (this.two_factor_recovery_codes || []).indexOf(hashRecoveryCode(recoveryCode));
+        if (index === -1) {
+            return false;
+        }
+        this.two_factor_recovery_codes.splice(index, 1);
+        await this.save();
+        return true;
+    }
+    return false;
+};
+
+UserSchema.methods.disableTwoFactor = async function () {
+    this.two_factor_enabled = false;
+    this.two_factor_enabled_at = undefined;
+    this.two_factor_secret = undefined;
+    this.two_factor_pending_secret = undefined;
+    this.two_factor_recovery_codes = [];
+    await this.save();
+};
+
+// --- Method to resolve the permissions granted by the user's roles ---
+// Admin accounts without an explicit role keep full access through the default admin role.
+UserSchema.methods.getPermissions = async function () {
+    const Role = mongoose.model('Role');
+    let roles = await Role.find({ _id: { $in: this.roles || [] } }).select('permissions');
+    if (roles.length === 0 && this.user_type === 'admin') {
+        roles = await Role.find({ name: DEFAULT_ADMIN_ROLE }).select('permissions');
+    }
+    return [...new Set(roles.flatMap(role => role.permissions))];
+};
+
+// --- Method to check whether the email address still needs confirming ---
+UserSchema.methods.needsEmailVerification = function () {
+    return this.email_verified === false;
+};
+
+// --- Method to check whether the password changed after a token was issued ---
+UserSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+    if (!this.password_changed_at) {
+        return false;
+    }
+    return this.password_changed_at.getTime() > tokenIssuedAt * 1000;
+};
+
+// --- Method to generate JWT (short-lived access token bound to a session) ---
+UserSchema.methods.generateAuthToken = function (sessionId) {
     const token = jwt.sign(
         {
             _id: this._id,
             user_type: this.user_type,
             username: this.username,
             email: this.email,
+            sid: sessionId,
         },
         process.env.JWT_SECRET,
-        { expiresIn: '1h' } // Token expires in 1 hour
+        { expiresIn: process.env.JWT_EXPIRES_IN || '15m' } // Renewed through /api/auth/refresh
     );
     return token;
 };
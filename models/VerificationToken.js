@@ -0,0 +1,63 @@
+// local-labor-backend/models/VerificationToken.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use, time-limited tokens sent to users by email (password reset, email verification).
+// Only the SHA-256 hash is stored so a database leak does not expose live tokens.
+const VerificationTokenSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true,
+    },
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expires_at: { type: Date, required: true },
+    used_at: { type: Date, default: null },
+}, { timestamps: true });
+
+// Expired tokens are useless, let MongoDB clean them up
+VerificationTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+VerificationTokenSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// --- Issue a new token, invalidating any unused one for the same purpose ---
+VerificationTokenSchema.statics.issue = async function (userId, purpose, ttlMinutes) {
+    await this.deleteMany({ user_id: userId, purpose, used_at: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.create({
+        user_id: userId,
+        purpose,
+        token_hash: this.hashToken(token),
+        expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    });
+    return token;
+};
+
+// --- Atomically mark a valid token as used and return it (null if invalid) ---
+VerificationTokenSchema.statics.consume = function (token, purpose) {
+    return this.findOneAndUpdate(
+        {
+            token_hash: this.hashToken(token),
+            purpose,
+            used_at: null,
+            expires_at: { $gt: new Date() },
+        },
+        { $set: { used_at: new Date() } },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('VerificationToken', VerificationTokenSchema);
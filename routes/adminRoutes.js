@@ -1,7 +1,7 @@
 // src/routes/adminRoutes.js
 const express = require('express');
 const router = express.Router();
-const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 const {
     getEmployers,
     getEmployerById,
@@ -15,41 +15,103 @@ const {
     getJobs,
     getJobById,
     updateJob,
-    deleteJob
+    deleteJob,
+    revokeUserSessions,
+    unlockUser
 } = require('../controllers/adminController');
+const {
+    getPermissionList,
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    assignUserRoles
+} = require('../controllers/roleController');
+const {
+    getAllCategories,
+    createCategory,
+    updateCategory,
+    reorderCategories
+} = require('../controllers/categoryController');
+const {
+    getAllSkills,
+    createSkill,
+    updateSkill,
+    migrateSkills
+} = require('../controllers/skillController');
 
-// Protect all admin routes and ensure user is an 'admin'
+// Protect all admin routes; each route then checks the permission it needs
+// (granted through the roles in models/Role.js)
 router.use(protect);
-router.use(authorizeRoles('admin')); // Only 'admin' users can access these routes
 
 // --- Employer Routes ---
 // @route   GET /api/admin/employers
-router.get('/employers', getEmployers);
+router.get('/employers', requirePermission('users:read'), getEmployers);
 // @route   GET /api/admin/employers/:id
-router.get('/employers/:id', getEmployerById);
+router.get('/employers/:id', requirePermission('users:read'), getEmployerById);
 // @route   PUT /api/admin/employers/:id
-router.put('/employers/:id', updateEmployer);
+router.put('/employers/:id', requirePermission('users:update'), updateEmployer);
 // @route   DELETE /api/admin/employers/:id
-router.delete('/employers/:id', deleteEmployer);
+router.delete('/employers/:id', requirePermission('users:delete'), deleteEmployer);
 
 // --- Laborer Routes ---
 // @route   GET /api/admin/laborers
-router.get('/laborers', getLaborers);
+router.get('/laborers', requirePermission('users:read'), getLaborers);
 // @route   GET /api/admin/laborers/:id
-router.get('/laborers/:id', getLaborerById);
+router.get('/laborers/:id', requirePermission('users:read'), getLaborerById);
 // @route   PUT /api/admin/laborers/:id
-router.put('/laborers/:id', updateLaborer);
+router.put('/laborers/:id', requirePermission('users:update'), updateLaborer);
 // @route   DELETE /api/admin/laborers/:id
-router.delete('/laborers/:id', deleteLaborer);
+router.delete('/laborers/:id', requirePermission('users:delete'), deleteLaborer);
 
 // --- NEW: Job Routes ---
 // @route   GET /api/admin/jobs
-router.get('/jobs', getJobs);
+router.get('/jobs', requirePermission('jobs:read'), getJobs);
 // @route   GET /api/admin/jobs/:id
-router.get('/jobs/:id', getJobById);
+router.get('/jobs/:id', requirePermission('jobs:read'), getJobById);
 // @route   PUT /api/admin/jobs/:id
-router.put('/jobs/:id', updateJob);
+router.put('/jobs/:id', requirePermission('jobs:moderate'), updateJob);
 // @route   DELETE /api/admin/jobs/:id
-router.delete('/jobs/:id', deleteJob);
+router.delete('/jobs/:id', requirePermission('jobs:delete'), deleteJob);
+
+// --- Job Category Routes ---
+// @route   GET /api/admin/categories
+router.get('/categories', requirePermission('categories:manage'), getAllCategories);
+// @route   POST /api/admin/categories
+router.post('/categories', requirePermission('categories:manage'), createCategory);
+// @route   PUT /api/admin/categories/reorder (before /:id so 'reorder' is not treated as an ID)
+router.put('/categories/reorder', requirePermission('categories:manage'), reorderCategories);
+// @route   PUT /api/admin/categories/:id
+router.put('/categories/:id', requirePermission('categories:manage'), updateCategory);
+
+// --- Skills Catalogue Routes ---
+// @route   GET /api/admin/skills
+router.get('/skills', requirePermission('skills:manage'), getAllSkills);
+// @route   POST /api/admin/skills
+router.post('/skills', requirePermission('skills:manage'), createSkill);
+// @route   POST /api/admin/skills/migrate
+router.post('/skills/migrate', requirePermission('skills:manage'), migrateSkills);
+// @route   PUT /api/admin/skills/:id
+router.put('/skills/:id', requirePermission('skills:manage'), updateSkill);
+
+// --- User Account Security Routes ---
+// @route   POST /api/admin/users/:id/revoke-sessions
+router.post('/users/:id/revoke-sessions', requirePermission('users:security'), revokeUserSessions);
+// @route   POST /api/admin/users/:id/unlock
+router.post('/users/:id/unlock', requirePermission('users:security'), unlockUser);
+
+// --- Role & Permission Routes ---
+// @route   GET /api/admin/permissions
+router.get('/permissions', requirePermission('roles:manage'), getPermissionList);
+// @route   GET /api/admin/roles
+router.get('/roles', requirePermission('roles:manage'), getRoles);
+// @route   POST /api/admin/roles
+router.post('/roles', requirePermission('roles:manage'), createRole);
+// @route   PUT /api/admin/roles/:id
+router.put('/roles/:id', requirePermission('roles:manage'), updateRole);
+// @route   DELETE /api/admin/roles/:id
+router.delete('/roles/:id', requirePermission('roles:manage'), deleteRole);
+// @route   PUT /api/admin/users/:id/roles
+router.put('/users/:id/roles', requirePermission('roles:manage'), assignUserRoles);
 
 module.exports = router;
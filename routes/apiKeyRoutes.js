@@ -0,0 +1,17 @@
+// local-labor-backend/routes/apiKeyRoutes.js
+const express = require('express');
+const router = express.Router();
+const { createApiKey, getApiKeys, revokeApiKey } = require('../controllers/apiKeyController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Only a logged-in employer manages keys; an API key can never create or revoke keys
+router.use(protect);
+router.use(authorizeRoles('employer'));
+
+// @route   GET /api/api-keys
+// @route   POST /api/api-keys
+router.route('/').get(getApiKeys).post(createApiKey);
+// @route   DELETE /api/api-keys/:id
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
@@ -6,12 +6,92 @@ const {
   getAllUsers, 
   getUserProfile, 
   updateUserProfile, 
+  verifyTwoFactorLogin,
+  startTwoFactorLoginSetup,
+  confirmTwoFactorLoginSetup,
 } = require('../controllers/userController');
+const {
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
+  getMySessions,
+  revokeSession,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  sendPhoneVerificationCode,
+  verifyPhoneNumber,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controllers/authController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware'); 
+const { createRateLimiter } = require('../middleware/rateLimiter');
+
+// At most 3 verification emails per user every 15 minutes
+const resendVerificationLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 3,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: 'Too many verification emails requested. Please try again later.',
+});
+
+// At most 5 SMS codes per user every hour
+const phoneCodeLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: 'Too many verification codes requested. Please try again later.',
+});
+
+// Password reset emails: at most 10 requests per IP address and 3 per email address every hour
+const passwordResetIpLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many password reset requests. Please try again later.',
+});
+const passwordResetEmailLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: (req) => String((req.body && req.body.email) || '').trim().toLowerCase(),
+  message: 'Too many password reset requests. Please try again later.',
+});
 
 router.post('/register', registerUser);
 router.post('/login', loginUser);
 
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa', verifyTwoFactorLogin);
+router.post('/login/2fa/setup', startTwoFactorLoginSetup);
+router.post('/login/2fa/confirm', confirmTwoFactorLoginSetup);
+
+// Session management: refresh-token rotation and logout
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', logoutUser);
+router.post('/logout-all', protect, logoutAllDevices);
+router.get('/sessions', protect, getMySessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+// Password recovery
+router.post('/forgot-password', passwordResetIpLimiter, passwordResetEmailLimiter, requestPasswordReset);
+router.post('/reset-password', resetPassword);
+
+// Email verification
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', protect, resendVerificationLimiter, resendVerificationEmail);
+
+// Phone verification by one-time code
+router.post('/phone/send-code', protect, phoneCodeLimiter, sendPhoneVerificationCode);
+router.post('/phone/verify', protect, verifyPhoneNumber);
+
+// Two-factor authentication management (TOTP)
+router.post('/2fa/setup', protect, authorizeRoles('employer', 'admin'), setupTwoFactor);
+router.post('/2fa/confirm', protect, authorizeRoles('employer', 'admin'), confirmTwoFactor);
+router.post('/2fa/disable', protect, authorizeRoles('employer'), disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, authorizeRoles('employer', 'admin'), regenerateRecoveryCodes);
+
 router.route('/profile').get(protect, getUserProfile).put(protect, updateUserProfile);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+// local-labor-backend/routes/categoryRoutes.js
+const express = require('express');
+const router = express.Router();
+const { getCategories } = require('../controllers/categoryController');
+
+// Categories are managed under /api/admin/categories; this is the public browse tree
+// @route   GET /api/categories
+router.get('/', getCategories);
+
+module.exports = router;
@@ -3,10 +3,15 @@ const router = express.Router();
 const {
     createJob,
     getAllJobs,
+    getJobClusters,
     getJobById,
     updateJob,
     deleteJob,
+    publishJob,
+    repostJob,
+    extendJobDeadline,
     getEmployerJobs,
+    getRecommendedJobs,
     applyForJob,
     getApplicantsForSpecificJob,
     getMyApplications,
@@ -14,7 +19,8 @@ const {
     uploadJobImage, // MODIFIED: Use specific job image upload middleware
     uploadApplicationDocs // NEW: Import application documents upload middleware
 } = require('../controllers/jobController');
-const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { saveJob, unsaveJob, getSavedJobs } = require('../controllers/savedJobController');
+const { protect, optionalAuth, allowApiKey, authorizeRoles, requireVerifiedEmail } = require('../middleware/authMiddleware');
 
 // --- IMPORTANT: ORDER MATTERS! Place more specific routes before generic ones. ---
 
@@ -22,27 +28,50 @@ const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 // This MUST come before router.route('/:id') to avoid 'my-applications' being treated as an ID
 router.get('/my-applications', protect, authorizeRoles('laborer'), getMyApplications);
 
+// 1a. "Jobs for you" feed for the logged-in laborer
+router.get('/recommended', protect, authorizeRoles('laborer'), getRecommendedJobs);
+
+// 1b. Get the logged-in laborer's saved jobs
+router.get('/saved', protect, authorizeRoles('laborer'), getSavedJobs);
+
+// 1c. Clustered job markers for a map viewport (public)
+router.get('/clusters', getJobClusters);
+
 // 2. Get jobs posted by the current employer/admin
-router.get('/my-jobs', protect, authorizeRoles('employer', 'admin'), getEmployerJobs);
+router.get('/my-jobs', allowApiKey('jobs:read'), protect, authorizeRoles('employer', 'admin'), getEmployerJobs);
 
 // 3. Route for fetching applicants for a specific job (employer/admin)
-router.get('/:jobId/applicants', protect, authorizeRoles('employer'), getApplicantsForSpecificJob);
+router.get('/:jobId/applicants', allowApiKey('applications:read'), protect, authorizeRoles('employer'), getApplicantsForSpecificJob);
+
+// 3a. Publish a draft/scheduled job now or schedule it (employer/admin)
+router.put('/:id/publish', allowApiKey('jobs:write'), protect, authorizeRoles('employer', 'admin'), requireVerifiedEmail, publishJob);
+
+// 3b. Repost a job as a new posting (employer/admin)
+router.post('/:id/repost', allowApiKey('jobs:write'), protect, authorizeRoles('employer', 'admin'), requireVerifiedEmail, repostJob);
+
+// 3c. Extend the application deadline of a job (employer/admin)
+router.put('/:id/deadline', allowApiKey('jobs:write'), protect, authorizeRoles('employer', 'admin'), extendJobDeadline);
+
+// 3d. Save / unsave a job (laborer)
+router.route('/:id/save')
+    .post(protect, authorizeRoles('laborer'), saveJob)
+    .delete(protect, authorizeRoles('laborer'), unsaveJob);
 
 // 4. Route for a laborer to apply for a job with file uploads
-router.post('/:id/apply', protect, authorizeRoles('laborer'), uploadApplicationDocs, applyForJob);
+router.post('/:id/apply', protect, authorizeRoles('laborer'), requireVerifiedEmail, uploadApplicationDocs, applyForJob);
 
 // 5. Main job routes for creation and getting all jobs (general public or logged-in)
 router.route('/')
-    .post(protect, authorizeRoles('employer', 'admin'), uploadJobImage.single('jobImage'), createJob)
-    .get(getAllJobs);
+    .post(allowApiKey('jobs:write'), protect, authorizeRoles('employer', 'admin'), requireVerifiedEmail, uploadJobImage.single('jobImage'), createJob)
+    .get(optionalAuth, getAllJobs);
 
 // 6. Generic route for single job operations (MUST come after all more specific routes)
 router.route('/:id')
-    .get(getJobById)
-    .put(protect, authorizeRoles('employer', 'admin'), uploadJobImage.single('jobImage'), updateJob)
-    .delete(protect, authorizeRoles('employer', 'admin'), deleteJob);
+    .get(optionalAuth, getJobById)
+    .put(allowApiKey('jobs:write'), protect, authorizeRoles('employer', 'admin'), uploadJobImage.single('jobImage'), updateJob)
+    .delete(allowApiKey('jobs:write'), protect, authorizeRoles('employer', 'admin'), deleteJob);
 
 // 7. Update application status
-router.put('/applications/:id/status', protect, authorizeRoles('employer'), updateApplicationStatus);
+router.put('/applications/:id/status', allowApiKey('applications:write'), protect, authorizeRoles('employer'), updateApplicationStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+// local-labor-backend/routes/jobTemplateRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createJobTemplate,
+    getJobTemplates,
+    getJobTemplateById,
+    updateJobTemplate,
+    deleteJobTemplate,
+} = require('../controllers/jobTemplateController');
+const { uploadJobImage } = require('../controllers/jobController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Templates belong to the logged-in employer
+router.use(protect);
+router.use(authorizeRoles('employer'));
+
+// @route   GET /api/job-templates
+// @route   POST /api/job-templates
+router.route('/')
+    .get(getJobTemplates)
+    .post(uploadJobImage.single('jobImage'), createJobTemplate);
+
+// @route   GET/PUT/DELETE /api/job-templates/:id
+router.route('/:id')
+    .get(getJobTemplateById)
+    .put(uploadJobImage.single('jobImage'), updateJobTemplate)
+    .delete(deleteJobTemplate);
+
+module.exports = router;
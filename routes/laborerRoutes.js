@@ -4,10 +4,11 @@ const router = express.Router();
 // Import getLaborerProfileAndRatings from userController
 // as you placed it there.
 const { getLaborerProfileAndRatings } = require('../controllers/userController'); 
+const { optionalAuth } = require('../middleware/authMiddleware');
 
 // @route GET /api/laborers/:id
 // @desc Get a single laborer profile with ratings and reviews
-// @access Public (you can add protect middleware later if needed)
-router.get('/:id', getLaborerProfileAndRatings);
+// @access Public (personalized when a valid token is sent)
+router.get('/:id', optionalAuth, getLaborerProfileAndRatings);
 
 module.exports = router;
\ No newline at end of file
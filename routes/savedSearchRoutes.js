@@ -0,0 +1,31 @@
+// local-labor-backend/routes/savedSearchRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createSavedSearch,
+    getSavedSearches,
+    updateSavedSearch,
+    deleteSavedSearch,
+    getJobAlerts,
+    markJobAlertsRead,
+} = require('../controllers/savedSearchController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Saved searches and their alerts belong to the logged-in laborer
+router.use(protect);
+router.use(authorizeRoles('laborer'));
+
+// Alert routes come before /:id so 'alerts' is not treated as an ID
+// @route   GET /api/saved-searches/alerts
+router.get('/alerts', getJobAlerts);
+// @route   PUT /api/saved-searches/alerts/read
+router.put('/alerts/read', markJobAlertsRead);
+
+// @route   GET /api/saved-searches
+// @route   POST /api/saved-searches
+router.route('/').get(getSavedSearches).post(createSavedSearch);
+
+// @route   PUT/DELETE /api/saved-searches/:id
+router.route('/:id').put(updateSavedSearch).delete(deleteSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// local-labor-backend/routes/skillRoutes.js
+const express = require('express');
+const router = express.Router();
+const { searchSkills } = require('../controllers/skillController');
+
+// The catalogue is managed under /api/admin/skills; this is the autocomplete for skill pickers
+// @route   GET /api/skills
+router.get('/', searchSkills);
+
+module.exports = router;
@@ -10,12 +10,17 @@ const {
   getAllLaborers,
   getLaborerProfileAndRatings,
   upload, // Multer upload middleware
-  updateUserLocation // <-- NEW: Function to handle location update
+  updateUserLocation, // <-- NEW: Function to handle location update
+  getLoginHistory,
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion
 } = require('../controllers/userController');
 
 const {
-  protect,
-  authorizeRoles
+  protect,
+  optionalAuth,
+  requirePermission
 } = require('../middleware/authMiddleware');
 
 
@@ -33,7 +38,15 @@ router.post('/auth/login', loginUser);
 router.route('/profile')
   .get(protect, getUserProfile)
   // CORRECTED: Changed 'profile_picture' to 'profileImage' to match frontend FormData
-  .put(protect, upload.single('profile_picture'), updateUserProfile);
+  .put(protect, upload.single('profile_picture'), updateUserProfile)
+  .delete(protect, requestAccountDeletion);
+
+// Login history (time, IP, device, success) of the logged-in user
+router.get('/profile/login-history', protect, getLoginHistory);
+
+// Personal data export and cancelling a scheduled account deletion
+router.get('/profile/export', protect, exportMyData);
+router.post('/profile/cancel-deletion', protect, cancelAccountDeletion);
 
 // NEW ROUTE: Endpoint for updating user location and city based on coordinates
 // The front-end calls PUT /api/users/:id/location. Since this router is mounted at /api/users, the path is /:id/location
@@ -44,13 +57,13 @@ router.put('/:id/location', protect, updateUserLocation);
 // SECTION 3: Laborer-specific Routes
 // ====================================================================
 router.get('/laborers', getAllLaborers);
-router.get('/laborers/:id', getLaborerProfileAndRatings);
+router.get('/laborers/:id', optionalAuth, getLaborerProfileAndRatings);
 
 
 // ====================================================================
 // SECTION 4: Admin Routes
 // ====================================================================
-router.get('/', protect, authorizeRoles('admin'), getAllUsers);
+router.get('/', protect, requirePermission('users:read'), getAllUsers);
 
 
 module.exports = router;
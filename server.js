@@ -9,14 +9,44 @@ const jobRoutes = require('./routes/jobRoutes');
 const ratingRoutes = require('./routes/ratingRoutes');
 const laborerRoutes = require('./routes/laborerRoutes');
 const adminRoutes = require('./routes/adminRoutes'); // Import the new admin routes
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const jobTemplateRoutes = require('./routes/jobTemplateRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const skillRoutes = require('./routes/skillRoutes');
 
 const { notFound, errorHandler } = require('./middleware/errorMiddleware');
+const Role = require('./models/Role');
+const Job = require('./models/Job');
+const { startAccountDeletionWorker } = require('./workers/accountDeletionWorker');
+const { startJobExpiryWorker } = require('./workers/jobExpiryWorker');
+const { startJobPublisher } = require('./workers/jobPublisher');
+const { startJobAlertDigestWorker } = require('./workers/jobAlertDigestWorker');
+const { startGeocodeRetryWorker } = require('./workers/geocodeRetryWorker');
+const { checkProvider: checkGeocoderProvider } = require('./utils/geocoder');
 const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI;
 
+// Stop here rather than leave every new job waiting for a geocoder that cannot work
+checkGeocoderProvider().catch(err => {
+    console.error('Geocoding provider error:', err.message);
+    process.exit(1);
+});
+
 mongoose.connect(MONGO_URI)
-    .then(() => console.log('MongoDB connected successfully!'))
+    .then(() => {
+        console.log('MongoDB connected successfully!');
+        startAccountDeletionWorker();
+        startJobExpiryWorker();
+        startJobPublisher();
+        startJobAlertDigestWorker();
+        startGeocodeRetryWorker();
+        // Make sure the built-in permission bundles exist
+        return Role.ensureSystemRoles();
+    })
+    // Jobs saved before positions were counted get their accepted workers counted once
+    .then(() => Job.backfillPositions())
     .catch(err => {
         console.error('MongoDB connection error:', err);
         process.exit(1);
@@ -38,6 +68,11 @@ app.use('/api/jobs', jobRoutes);
 app.use('/api/ratings', ratingRoutes);
 app.use('/api/laborers', laborerRoutes);
 app.use('/api/admin', adminRoutes); // Use the new admin routes here
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/job-templates', jobTemplateRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/skills', skillRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -0,0 +1,104 @@
+// local-labor-backend/utils/accountCleanup.js
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Rating = require('../models/Rating');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const VerificationToken = require('../models/VerificationToken');
+const PhoneVerification = require('../models/PhoneVerification');
+const ApiKey = require('../models/ApiKey');
+const JobTemplate = require('../models/JobTemplate');
+const SavedJob = require('../models/SavedJob');
+const SavedSearch = require('../models/SavedSearch');
+const JobAlert = require('../models/JobAlert');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// Absolute path of a file we host under /uploads, or null for anything else
+// (external URLs, placeholders and the shared default job image).
+const resolveUploadPath = (urlPath) => {
+    if (!urlPath || !urlPath.startsWith('/uploads/') || urlPath.includes('geo_job_default')) {
+        return null;
+    }
+    const absolutePath = path.join(PROJECT_ROOT, urlPath);
+    // Never follow a stored path outside the uploads directory
+    if (!absolutePath.startsWith(path.join(PROJECT_ROOT, 'uploads') + path.sep)) {
+        return null;
+    }
+    return absolutePath;
+};
+
+const removeUploadedFile = async (urlPath) => {
+    const absolutePath = resolveUploadPath(urlPath);
+    if (!absolutePath) return;
+    try {
+        await fs.promises.unlink(absolutePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error deleting uploaded file ${urlPath}:`, error);
+        }
+    }
+};
+
+const removeApplications = async (filter) => {
+    const applications = await Application.find(filter).select('resume_url cover_letter_url');
+    for (const application of applications) {
+        await removeUploadedFile(application.resume_url);
+        await removeUploadedFile(application.cover_letter_url);
+    }
+    await Application.deleteMany(filter);
+};
+
+// Remove a user and everything that belongs to them:
+// - jobs they posted, with their images and every application to them
+// - their job templates and the template images
+// - applications they made, with the uploaded resumes and cover letters
+// - ratings about them; ratings they gave stay but no longer name them
+// - their profile picture, sessions, API keys, saved jobs and searches, job alerts, login history and pending tokens
+const deleteUserAccount = async (user) => {
+    const jobs = await Job.find({ employer_id: user._id }).select('image_url');
+    const jobIds = jobs.map(job => job._id);
+    await removeApplications({ job_id: { $in: jobIds } });
+    for (const job of jobs) {
+        await removeUploadedFile(job.image_url);
+    }
+    await Job.deleteMany({ _id: { $in: jobIds } });
+    await SavedJob.deleteMany({ job_id: { $in: jobIds } });
+    await JobAlert.deleteMany({ job_id: { $in: jobIds } });
+
+    const templates = await JobTemplate.find({ employer_id: user._id }).select('image_url');
+    for (const template of templates) {
+        await removeUploadedFile(template.image_url);
+    }
+    await JobTemplate.deleteMany({ employer_id: user._id });
+
+    // Jobs this user was accepted on get their position back
+    const acceptedJobIds = await Application.find({ applicant_id: user._id, status: 'Accepted' }).distinct('job_id');
+    await removeApplications({ applicant_id: user._id });
+    for (const jobId of acceptedJobIds) {
+        await Job.syncFilledPositions(jobId);
+    }
+
+    await Rating.deleteMany({ target_id: user._id });
+    await Rating.updateMany({ rater_id: user._id }, { $set: { rater_id: null } });
+
+    await removeUploadedFile(user.profile_picture_url);
+
+    await Promise.all([
+        Session.deleteMany({ user_id: user._id }),
+        LoginAttempt.deleteMany({ user_id: user._id }),
+        VerificationToken.deleteMany({ user_id: user._id }),
+        PhoneVerification.deleteMany({ user_id: user._id }),
+        ApiKey.deleteMany({ employer_id: user._id }),
+        SavedJob.deleteMany({ user_id: user._id }),
+        SavedSearch.deleteMany({ user_id: user._id }),
+        JobAlert.deleteMany({ user_id: user._id }),
+    ]);
+
+    await User.deleteOne({ _id: user._id });
+};
+
+module.exports = { resolveUploadPath, removeUploadedFile, deleteUserAccount };
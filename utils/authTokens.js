@@ -0,0 +1,65 @@
+// local-labor-backend/utils/authTokens.js
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const TWO_FACTOR_TOKEN_TTL = '5m';
+
+// Pull the client details we keep on each session from the request
+const getClientInfo = (req) => ({
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+});
+
+// Start a new session for the user and return the access/refresh token pair
+const issueAuthTokens = async (user, req) => {
+    const { session, refreshToken } = await Session.createForUser(user._id, getClientInfo(req));
+    return {
+        token: user.generateAuthToken(session._id),
+        refreshToken,
+    };
+};
+
+// Response body sent once a user has fully signed in
+const buildLoginResponse = async (user, req) => {
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+    return {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        full_name: user.full_name,
+        user_type: user.user_type,
+        email_verified: !user.needsEmailVerification(),
+        two_factor_enabled: user.two_factor_enabled,
+        deletion_scheduled_for: user.deletion_scheduled_for || null,
+        profile_picture_url: user.profile_picture_url,
+        token,
+        refreshToken,
+    };
+};
+
+// Short-lived token proving the password step of a login succeeded.
+// purpose is '2fa_login' (enter a code) or '2fa_setup' (admin must enroll first).
+// It has no session id, so protect never accepts it as an access token.
+const generateTwoFactorToken = (user, purpose) => jwt.sign(
+    { _id: user._id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_TOKEN_TTL }
+);
+
+// Returns the user id from a valid two-factor token, or null
+const verifyTwoFactorToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === purpose ? decoded._id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    getClientInfo,
+    issueAuthTokens,
+    buildLoginResponse,
+    generateTwoFactorToken,
+    verifyTwoFactorToken,
+};
@@ -0,0 +1,20 @@
+// local-labor-backend/utils/emailVerification.js
+const VerificationToken = require('../models/VerificationToken');
+const { sendMail } = require('./mailer');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Issue a fresh verification token (replacing any earlier one) and email the link
+const sendVerificationEmail = async (user) => {
+    const token = await VerificationToken.issue(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60);
+    const verifyUrl = `${CLIENT_URL}/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Confirm your email address',
+        text: `Hi ${user.full_name},\n\nPlease confirm your email address by opening the link below. It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n${verifyUrl}\n\nYou need a confirmed email address to post jobs or apply for them.`,
+    });
+};
+
+module.exports = { sendVerificationEmail };
@@ -0,0 +1,163 @@
+// local-labor-backend/utils/geo.js
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in meters between two GeoJSON [longitude, latitude] pairs,
+// the same unit $geoNear reports in its distance field.
+const distanceInMeters = ([lng1, lat1], [lng2, lat2]) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Aggregation expression computing the same distance (meters) from a coordinates
+// field such as '$location.coordinates' to a fixed [longitude, latitude] point.
+// Used where $geoNear cannot be, e.g. together with a $text search.
+const distanceExpression = (coordinatesField, [lng, lat]) => {
+    const fieldLng = { $degreesToRadians: { $arrayElemAt: [coordinatesField, 0] } };
+    const fieldLat = { $degreesToRadians: { $arrayElemAt: [coordinatesField, 1] } };
+    const pointLng = toRadians(lng);
+    const pointLat = toRadians(lat);
+    return {
+        $multiply: [
+            2 * EARTH_RADIUS_METERS,
+            {
+                $asin: {
+                    $sqrt: {
+                        $add: [
+                            { $pow: [{ $sin: { $divide: [{ $subtract: [fieldLat, pointLat] }, 2] } }, 2] },
+                            {
+                                $multiply: [
+                                    Math.cos(pointLat),
+                                    { $cos: fieldLat },
+                                    { $pow: [{ $sin: { $divide: [{ $subtract: [fieldLng, pointLng] }, 2] } }, 2] },
+                                ],
+                            },
+                        ],
+                    },
+                },
+            },
+        ],
+    };
+};
+
+// True for a GeoJSON point with usable [longitude, latitude] coordinates
+const hasCoordinates = (point) => Boolean(
+    point
+    && Array.isArray(point.coordinates)
+    && point.coordinates.length === 2
+    && point.coordinates.every(value => typeof value === 'number' && !isNaN(value))
+);
+
+const isLongitude = (value) => typeof value === 'number' && !isNaN(value) && value >= -180 && value <= 180;
+const isLatitude = (value) => typeof value === 'number' && !isNaN(value) && value >= -90 && value <= 90;
+
+// Map libraries report longitudes past ±180 once the world repeats on screen
+const wrapLongitude = (lng) => (lng < -180 || lng > 180 ? ((((lng + 180) % 360) + 360) % 360) - 180 : lng);
+
+// Map viewports are matched on the plane of [longitude, latitude] pairs, like the map draws them:
+// edges are lines of constant latitude or longitude rather than great circles, and a viewport
+// wider than a hemisphere still means what is on screen.
+
+// Viewport given as 'minLng,minLat,maxLng,maxLat' (south-west and north-east corners) as
+// { boxes: [[[minLng, minLat], [maxLng, maxLat]], ...] }. A box crossing the antimeridian
+// (minLng > maxLng once wrapped) becomes two boxes, one 360° or wider is the whole world.
+// Latitudes are clamped to ±90. Returns null for anything malformed.
+const parseBoundingBox = (value) => {
+    const parts = String(value).split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+    if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+    const [minLng, rawMinLat, maxLng, rawMaxLat] = parts;
+    const minLat = Math.max(rawMinLat, -90);
+    const maxLat = Math.min(rawMaxLat, 90);
+    if (minLat >= maxLat || minLng === maxLng) return null;
+
+    if (maxLng - minLng >= 360) {
+        return { boxes: [[[-180, minLat], [180, maxLat]]] };
+    }
+    const west = wrapLongitude(minLng);
+    const east = wrapLongitude(maxLng);
+    if (west > east) {
+        return { boxes: [[[west, minLat], [180, maxLat]], [[-180, minLat], [east, maxLat]]] };
+    }
+    return { boxes: [[[west, minLat], [east, maxLat]]] };
+};
+
+// Viewport polygon from 'lng,lat;lng,lat;...' with at least three distinct corners, as
+// { polygon: [[lng, lat], ...] }. The ring is closed automatically. Returns null for anything malformed.
+const parsePolygon = (value) => {
+    const points = String(value).split(';').map(pair => pair.split(',').map(part => parseFloat(part)));
+    if (points.some(point => point.length !== 2 || !isLongitude(point[0]) || !isLatitude(point[1]))) return null;
+    const [first] = points;
+    const last = points[points.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) points.push([...first]);
+    if (points.length < 4) return null;
+    return { polygon: points };
+};
+
+// The 2dsphere index cannot serve $box or $polygon, so viewports up to MAX_INDEXED_VIEWPORT_DEGREES
+// wide are also matched against GeoJSON strips at most STRIP_WIDTH_DEGREES wide that the index can
+// use. Over 10° of longitude a strip's great-circle edges bow towards the pole by at most ~0.11°,
+// so padding them by STRIP_PADDING_DEGREES keeps every strip a superset of its part of the
+// viewport; the planar condition then trims the result exactly. Wider viewports cover most of the
+// map, where the index would not save much anyway.
+const MAX_INDEXED_VIEWPORT_DEGREES = 90;
+const STRIP_WIDTH_DEGREES = 10;
+const STRIP_PADDING_DEGREES = 0.5;
+const MAX_STRIP_LATITUDE = 89.9; // Ring corners on a pole would be the same point
+
+const coveringStrips = (boxes) => {
+    const width = boxes.reduce((sum, [[west], [east]]) => sum + (east - west), 0);
+    if (width > MAX_INDEXED_VIEWPORT_DEGREES) return null;
+
+    const strips = [];
+    for (const [[west, south], [east, north]] of boxes) {
+        const bottom = Math.max(south - STRIP_PADDING_DEGREES, -MAX_STRIP_LATITUDE);
+        const top = Math.min(north + STRIP_PADDING_DEGREES, MAX_STRIP_LATITUDE);
+        for (let start = west; start < east; start += STRIP_WIDTH_DEGREES) {
+            const left = Math.max(start - STRIP_PADDING_DEGREES, -180);
+            const right = Math.min(Math.min(start + STRIP_WIDTH_DEGREES, east) + STRIP_PADDING_DEGREES, 180);
+            strips.push({
+                type: 'Polygon',
+                coordinates: [[[left, bottom], [right, bottom], [right, top], [left, top], [left, bottom]]],
+            });
+        }
+    }
+    return strips;
+};
+
+// Query condition matching a [longitude, latitude] field (e.g. 'location.coordinates') inside a
+// viewport from parseBoundingBox or parsePolygon
+const viewportCondition = (coordinatesField, { boxes, polygon }) => {
+    let planar;
+    let bounds = boxes;
+    if (polygon) {
+        planar = { [coordinatesField]: { $geoWithin: { $polygon: polygon } } };
+        const lngs = polygon.map(([lng]) => lng);
+        const lats = polygon.map(([, lat]) => lat);
+        bounds = [[[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]]];
+    } else {
+        const conditions = boxes.map(box => ({ [coordinatesField]: { $geoWithin: { $box: box } } }));
+        planar = conditions.length === 1 ? conditions[0] : { $or: conditions };
+    }
+
+    const strips = coveringStrips(bounds);
+    if (!strips) return planar;
+    const indexed = strips.map(strip => ({ [coordinatesField]: { $geoWithin: { $geometry: strip } } }));
+    return { $and: [indexed.length === 1 ? indexed[0] : { $or: indexed }, planar] };
+};
+
+module.exports = {
+    EARTH_RADIUS_METERS,
+    distanceInMeters,
+    distanceExpression,
+    hasCoordinates,
+    isLongitude,
+    isLatitude,
+    parseBoundingBox,
+    parsePolygon,
+    viewportCondition,
+};
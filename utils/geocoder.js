@@ -0,0 +1,251 @@
+// local-labor-backend/utils/geocoder.js
+const fs = require('fs');
+const path = require('path');
+const GeocodeCache = require('../models/GeocodeCache');
+const { isLongitude, isLatitude, distanceInMeters } = require('./geo');
+
+// A provider is any object with an async geocode(address) method resolving to
+// { latitude, longitude, address_text } for a match or null when the address is unknown.
+// It should throw when the service itself fails, so the lookup is retried later.
+// Providers that support reverse lookups also implement reverse({ latitude, longitude }),
+// resolving to { city, address_text } or null when nothing is known there.
+// An optional async check() is run at startup and should throw if the provider cannot work at all.
+// Pick one with GEOCODER_PROVIDER (openstreetmap or gazetteer) or plug in your own with registerProvider().
+
+const FOUND_CACHE_DAYS = parseInt(process.env.GEOCODE_CACHE_DAYS) || 90;
+const NOT_FOUND_CACHE_HOURS = parseInt(process.env.GEOCODE_NOT_FOUND_CACHE_HOURS) || 24;
+// Gazetteer reverse lookups pick the closest place within this distance
+const GAZETTEER_REVERSE_MAX_METERS = parseInt(process.env.GAZETTEER_REVERSE_MAX_METERS) || 25000;
+
+// Cache key and gazetteer lookup form of an address: 'Lagos ,  Nigeria' -> 'lagos, nigeria'
+const normaliseAddress = (address) => String(address || '')
+    .toLowerCase()
+    .replace(/\s*,\s*/g, ', ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+let osmClient;
+const getOsmClient = () => {
+    if (!osmClient) {
+        const NodeGeocoder = require('node-geocoder');
+        osmClient = NodeGeocoder({ provider: 'openstreetmap', formatter: null });
+    }
+    return osmClient;
+};
+
+const openStreetMapProvider = {
+    geocode: async (address) => {
+        const results = await getOsmClient().geocode(address);
+        if (!results || results.length === 0) return null;
+
+        const [first] = results;
+        let addressText = address;
+        if (first.formattedAddress) {
+            addressText = first.formattedAddress;
+        } else if (first.city && first.country) {
+            addressText = `${first.city}, ${first.country}`;
+        }
+        return { latitude: first.latitude, longitude: first.longitude, address_text: addressText };
+    },
+    reverse: async ({ latitude, longitude }) => {
+        const results = await getOsmClient().reverse({ lat: latitude, lon: longitude });
+        if (!results || results.length === 0) return null;
+
+        const [first] = results;
+        const city = first.city || first.county || first.state;
+        return { city, address_text: first.formattedAddress || [city, first.country].filter(Boolean).join(', ') };
+    },
+};
+
+// Offline lookups from a JSON file for tests and air-gapped setups (GEOCODER_GAZETTEER_FILE,
+// data/gazetteer.json by default, which lists the main Nigerian cities):
+// [{ "name": "Lagos", "aliases": ["Lagos, Nigeria"], "latitude": 6.455, "longitude": 3.394, "address_text": "Lagos, Nigeria" }]
+let gazetteer;
+const loadGazetteer = async () => {
+    if (!gazetteer) {
+        const filePath = process.env.GEOCODER_GAZETTEER_FILE || path.join(__dirname, '../data/gazetteer.json');
+        let entries;
+        try {
+            entries = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not load the gazetteer file ${filePath}: ${error.message}`);
+        }
+        if (!Array.isArray(entries)) throw new Error(`The gazetteer file ${filePath} must hold a JSON array.`);
+        const places = new Map();
+        for (const entry of entries) {
+            for (const name of [entry.name, ...(entry.aliases || [])]) {
+                places.set(normaliseAddress(name), entry);
+            }
+        }
+        gazetteer = places;
+    }
+    return gazetteer;
+};
+
+const gazetteerProvider = {
+    check: loadGazetteer,
+    geocode: async (address) => {
+        const entry = (await loadGazetteer()).get(normaliseAddress(address));
+        if (!entry) return null;
+        return { latitude: entry.latitude, longitude: entry.longitude, address_text: entry.address_text || entry.name };
+    },
+    reverse: async ({ latitude, longitude }) => {
+        let closest = null;
+        let closestMeters = GAZETTEER_REVERSE_MAX_METERS;
+        for (const entry of new Set((await loadGazetteer()).values())) {
+            const meters = distanceInMeters([longitude, latitude], [entry.longitude, entry.latitude]);
+            if (meters <= closestMeters) {
+                closest = entry;
+                closestMeters = meters;
+            }
+        }
+        return closest ? { city: closest.name, address_text: closest.address_text || closest.name } : null;
+    },
+};
+
+const providers = {
+    openstreetmap: openStreetMapProvider,
+    gazetteer: gazetteerProvider,
+};
+
+const registerProvider = (name, provider) => {
+    if (!provider || typeof provider.geocode !== 'function') {
+        throw new Error('A geocoding provider must implement geocode(address).');
+    }
+    providers[name] = provider;
+};
+
+const getProviderName = () => process.env.GEOCODER_PROVIDER || 'openstreetmap';
+
+// Run at startup: fails when the configured provider is unknown or cannot work (e.g. a missing
+// gazetteer file), instead of every lookup failing and jobs waiting in 'pending'
+const checkProvider = async () => {
+    const providerName = getProviderName();
+    const provider = providers[providerName];
+    if (!provider) throw new Error(`Unknown geocoding provider: ${providerName}`);
+    if (typeof provider.check === 'function') await provider.check();
+};
+
+const foundResult = (coordinates, addressText) => ({
+    status: 'found',
+    location: { type: 'Point', coordinates: [...coordinates], address_text: addressText },
+});
+
+const saveToCache = async (provider, query, entry) => {
+    const update = entry.found
+        ? { $set: entry }
+        : { $set: entry, $unset: { coordinates: '', address_text: '', city: '' } };
+    try {
+        await GeocodeCache.updateOne({ provider, query }, update, { upsert: true });
+    } catch (error) {
+        // A lookup that worked is still returned; the next one simply asks the provider again
+        console.error(`Geocoding: could not cache "${query}":`, error);
+    }
+};
+
+// Look up an address through the configured provider, using the cache first. Provider failures are
+// returned rather than thrown; resolves to { status: 'found', location } with a GeoJSON Point,
+// { status: 'not_found' } or { status: 'error', error }.
+const geocodeAddress = async (address) => {
+    const query = normaliseAddress(address);
+    if (!query) return { status: 'not_found' };
+
+    const providerName = getProviderName();
+    const provider = providers[providerName];
+    if (!provider) return { status: 'error', error: `Unknown geocoding provider: ${providerName}` };
+
+    const cached = await GeocodeCache.findOne({ provider: providerName, query, expires_at: { $gt: new Date() } }).lean();
+    if (cached) {
+        return cached.found ? foundResult(cached.coordinates, cached.address_text) : { status: 'not_found' };
+    }
+
+    let match;
+    try {
+        match = await provider.geocode(String(address).trim());
+    } catch (error) {
+        console.error(`Geocoding service error for "${address}":`, error);
+        return { status: 'error', error: error.message || 'Geocoding service error' };
+    }
+
+    const now = Date.now();
+    if (!match || !isLongitude(match.longitude) || !isLatitude(match.latitude)) {
+        await saveToCache(providerName, query, {
+            found: false,
+            expires_at: new Date(now + NOT_FOUND_CACHE_HOURS * 60 * 60 * 1000),
+        });
+        return { status: 'not_found' };
+    }
+
+    const coordinates = [match.longitude, match.latitude];
+    const addressText = match.address_text || String(address).trim();
+    await saveToCache(providerName, query, {
+        found: true,
+        coordinates,
+        address_text: addressText,
+        expires_at: new Date(now + FOUND_CACHE_DAYS * 24 * 60 * 60 * 1000),
+    });
+    return foundResult(coordinates, addressText);
+};
+
+// First match among addresses tried in order, e.g. a street address before its city alone.
+// Stops at a provider error so the whole lookup is retried later.
+const geocodeFirst = async (addresses) => {
+    let result = { status: 'not_found' };
+    for (const address of addresses) {
+        result = await geocodeAddress(address);
+        if (result.status !== 'not_found') return result;
+    }
+    return result;
+};
+
+// City and address text at a [longitude, latitude] position. Cached per ~10 m; resolves to
+// { status: 'found', city, address_text }, { status: 'not_found' } or { status: 'error', error }.
+const reverseGeocode = async ([longitude, latitude]) => {
+    const providerName = getProviderName();
+    const provider = providers[providerName];
+    if (!provider || typeof provider.reverse !== 'function') {
+        return { status: 'error', error: `Geocoding provider ${providerName} does not support reverse lookups` };
+    }
+
+    const query = `reverse:${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+    const cached = await GeocodeCache.findOne({ provider: providerName, query, expires_at: { $gt: new Date() } }).lean();
+    if (cached) {
+        return cached.found ? { status: 'found', city: cached.city, address_text: cached.address_text } : { status: 'not_found' };
+    }
+
+    let place;
+    try {
+        place = await provider.reverse({ latitude, longitude });
+    } catch (error) {
+        console.error(`Reverse geocoding service error for ${latitude},${longitude}:`, error);
+        return { status: 'error', error: error.message || 'Geocoding service error' };
+    }
+
+    const now = Date.now();
+    if (!place || !place.city) {
+        await saveToCache(providerName, query, {
+            found: false,
+            expires_at: new Date(now + NOT_FOUND_CACHE_HOURS * 60 * 60 * 1000),
+        });
+        return { status: 'not_found' };
+    }
+
+    const addressText = place.address_text || place.city;
+    await saveToCache(providerName, query, {
+        found: true,
+        city: place.city,
+        address_text: addressText,
+        expires_at: new Date(now + FOUND_CACHE_DAYS * 24 * 60 * 60 * 1000),
+    });
+    return { status: 'found', city: place.city, address_text: addressText };
+};
+
+module.exports = {
+    geocodeAddress,
+    geocodeFirst,
+    reverseGeocode,
+    normaliseAddress,
+    registerProvider,
+    getProviderName,
+    checkProvider,
+};
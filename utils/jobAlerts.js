@@ -0,0 +1,129 @@
+// local-labor-backend/utils/jobAlerts.js
+const Job = require('../models/Job');
+const SavedSearch = require('../models/SavedSearch');
+const JobAlert = require('../models/JobAlert');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./smsSender');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// A delivery channel is an async function (user, { savedSearch, jobs }) that tells the user
+// about one or more matching jobs. The in-app JobAlert record is always written; channels
+// listed on the saved search are used on top. Plug in more with registerChannel().
+const emailChannel = async (user, { savedSearch, jobs }) => {
+    if (!user.email) return;
+    const lines = jobs.map(job => `- ${job.title} (${job.city}): ${CLIENT_URL}/jobs/${job._id}`);
+    await sendMail({
+        to: user.email,
+        subject: jobs.length === 1
+            ? `New job for "${savedSearch.name}": ${jobs[0].title}`
+            : `${jobs.length} new jobs for "${savedSearch.name}"`,
+        text: `Hi ${user.full_name},\n\nNew jobs match your saved search "${savedSearch.name}":\n\n${lines.join('\n')}\n\nManage your saved searches: ${CLIENT_URL}/saved-searches`,
+    });
+};
+
+// Only sent to numbers confirmed by SMS code
+const smsChannel = async (user, { savedSearch, jobs }) => {
+    if (!user.phone_number || !user.phone_verified) return;
+    const body = jobs.length === 1
+        ? `GeoJob: new job "${jobs[0].title}" in ${jobs[0].city} matches "${savedSearch.name}". ${CLIENT_URL}/jobs/${jobs[0]._id}`
+        : `GeoJob: ${jobs.length} new jobs match "${savedSearch.name}". ${CLIENT_URL}/saved-searches`;
+    await sendSms({ to: user.phone_number, body });
+};
+
+const channels = {
+    email: emailChannel,
+    sms: smsChannel,
+};
+
+const registerChannel = (name, deliver) => {
+    if (typeof deliver !== 'function') {
+        throw new Error('A job alert channel must be a function (user, { savedSearch, jobs }).');
+    }
+    channels[name] = deliver;
+};
+
+const getChannelNames = () => Object.keys(channels);
+
+// Send through every channel of the saved search; one failing channel does not stop the others.
+// savedSearch.user_id must be populated with the user's contact details. Resolves to the names of
+// the channels that delivered and of those that failed (unknown channels are in neither).
+const deliverJobAlerts = async (savedSearch, jobs) => {
+    const user = savedSearch.user_id;
+    const delivered = [];
+    const failed = [];
+    for (const channelName of savedSearch.channels) {
+        const deliver = channels[channelName];
+        if (!deliver) {
+            console.error(`Job alerts: unknown channel "${channelName}" on saved search ${savedSearch._id}`);
+            continue;
+        }
+        try {
+            await deliver(user, { savedSearch, jobs });
+            delivered.push(channelName);
+        } catch (error) {
+            failed.push(channelName);
+            console.error(`Job alerts: ${channelName} delivery failed for saved search ${savedSearch._id}:`, error);
+        }
+    }
+    return { delivered, failed };
+};
+
+// True when every channel that could have sent the alert failed, so it should be tried again
+const allChannelsFailed = ({ delivered, failed }) => delivered.length === 0 && failed.length > 0;
+
+const ALERT_USER_FIELDS = 'full_name email phone_number phone_verified';
+
+// Record an alert for every active saved search the job matches and deliver instant ones.
+// Safe to run more than once for a job: the unique index keeps one alert per search.
+const matchJobToSavedSearches = async (jobId) => {
+    const job = await Job.findById(jobId);
+    if (!job || job.status !== 'Active') return 0;
+
+    const candidates = await SavedSearch.find({
+        is_active: true,
+        user_id: { $ne: job.employer_id },
+        $or: [{ 'filters.min_pay': null }, { 'filters.min_pay': { $lte: job.pay_rate_max } }],
+    }).populate('user_id', ALERT_USER_FIELDS);
+
+    let matched = 0;
+    for (const savedSearch of candidates) {
+        if (!savedSearch.user_id || !savedSearch.matchesJob(job)) continue;
+
+        let alert;
+        try {
+            alert = await JobAlert.create({ user_id: savedSearch.user_id._id, saved_search_id: savedSearch._id, job_id: job._id });
+        } catch (error) {
+            if (error.code === 11000) continue; // Already alerted
+            throw error;
+        }
+        matched++;
+
+        if (savedSearch.frequency === 'instant') {
+            // Left undelivered when no channel got through
+            if (!allChannelsFailed(await deliverJobAlerts(savedSearch, [job]))) {
+                alert.delivered_at = new Date();
+                await alert.save();
+            }
+        }
+    }
+
+    return matched;
+};
+
+// Run the matcher after the response has gone out; called wherever a job becomes Active
+const queueJobAlerts = (jobId) => {
+    setImmediate(() => {
+        matchJobToSavedSearches(jobId).catch(error => console.error(`Job alerts: matching failed for job ${jobId}:`, error));
+    });
+};
+
+module.exports = {
+    registerChannel,
+    getChannelNames,
+    deliverJobAlerts,
+    allChannelsFailed,
+    matchJobToSavedSearches,
+    queueJobAlerts,
+    ALERT_USER_FIELDS,
+};
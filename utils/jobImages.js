@@ -0,0 +1,27 @@
+// local-labor-backend/utils/jobImages.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveUploadPath } = require('./accountCleanup');
+
+const JOB_IMAGE_DIR = path.join(__dirname, '..', 'uploads', 'job_images');
+
+// Copy an uploaded job image so a new job or template owns its own file and deleting
+// one never breaks the other. Shared images (the default, external URLs) are reused
+// as they are, and a missing file falls back to the default image.
+const copyJobImage = async (urlPath) => {
+    const sourcePath = resolveUploadPath(urlPath);
+    if (!sourcePath) return urlPath;
+
+    const fileName = crypto.randomBytes(16).toString('hex'); // Same naming as multer uploads
+    try {
+        await fs.promises.mkdir(JOB_IMAGE_DIR, { recursive: true });
+        await fs.promises.copyFile(sourcePath, path.join(JOB_IMAGE_DIR, fileName));
+    } catch (error) {
+        console.error(`Error copying job image ${urlPath}:`, error);
+        return '/uploads/geo_job_default.jpg';
+    }
+    return `/uploads/job_images/${fileName}`;
+};
+
+module.exports = { copyJobImage };
@@ -0,0 +1,73 @@
+// local-labor-backend/utils/mailer.js
+const fs = require('fs');
+const path = require('path');
+
+// A transport is any object with an async send({ to, subject, text, html }) method.
+// Pick one with MAIL_TRANSPORT (console, file or smtp) or plug in your own with registerTransport().
+
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    },
+};
+
+// Writes each message as a JSON file so development and tests can read the outbox
+const fileTransport = {
+    send: async (message) => {
+        const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail_outbox');
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+        await fs.promises.writeFile(
+            path.join(outboxDir, fileName),
+            JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+        );
+    },
+};
+
+let smtpClient;
+const smtpTransport = {
+    send: async (message) => {
+        if (!smtpClient) {
+            const nodemailer = require('nodemailer');
+            smtpClient = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+            });
+        }
+        await smtpClient.sendMail(message);
+    },
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport,
+    smtp: smtpTransport,
+};
+
+const registerTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('A mail transport must implement send(message).');
+    }
+    transports[name] = transport;
+};
+
+// --- Send an email through the configured transport ---
+const sendMail = async ({ to, subject, text, html }) => {
+    const transportName = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[transportName];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    await transport.send({
+        from: process.env.MAIL_FROM || 'GeoJob <no-reply@geojob.local>',
+        to,
+        subject,
+        text,
+        html,
+    });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,80 @@
+// local-labor-backend/utils/pagination.js
+// Cursor pagination for sorted lists. A cursor holds the sort values of the last item a
+// client has seen, so the next page starts right after it no matter what was inserted or
+// removed in the meantime. _id is always the last sort key, which makes every position unique.
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Types;
+
+// The sort spec with _id added as a tie-breaker
+const withTieBreaker = (sort) => {
+    const { _id, ...fields } = sort;
+    return { ...fields, _id: _id || -1 };
+};
+
+// Dates and ObjectIds are tagged so they come back as the same types
+const serializeValue = (value) => {
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value && value._bsontype === 'ObjectId') return { $oid: value.toString() };
+    return value === undefined ? null : value;
+};
+
+const reviveValue = (value) => {
+    if (value && typeof value === 'object') {
+        if (typeof value.$date === 'string') return new Date(value.$date);
+        if (typeof value.$oid === 'string' && ObjectId.isValid(value.$oid)) return new ObjectId(value.$oid);
+    }
+    return value;
+};
+
+// Opaque cursor pointing just after `doc`. `key` names the list and sort order it belongs to,
+// so a cursor from one listing cannot be replayed against another.
+const encodeCursor = (doc, sort, key) => {
+    const values = Object.keys(sort).map(field => serializeValue(doc[field]));
+    return Buffer.from(JSON.stringify({ k: key, v: values })).toString('base64url');
+};
+
+// The sort values stored in a cursor, or null if it is malformed or belongs to another listing
+const decodeCursor = (cursor, sort, key) => {
+    try {
+        const { k, v } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (k !== key || !Array.isArray(v) || v.length !== Object.keys(sort).length) return null;
+        return v.map(reviveValue);
+    } catch (error) {
+        return null;
+    }
+};
+
+// Match condition for everything that sorts after the cursor position:
+// (a > x) OR (a = x AND b > y) OR ... with > or < following each field's direction.
+const cursorCondition = (sort, values) => {
+    const fields = Object.keys(sort);
+    return {
+        $or: fields.map((field, index) => {
+            const condition = {};
+            fields.slice(0, index).forEach((previous, i) => { condition[previous] = values[i]; });
+            condition[field] = { [sort[field] === 1 ? '$gt' : '$lt']: values[index] };
+            return condition;
+        }),
+    };
+};
+
+// Trim a page fetched with limit + 1 items and work out whether another page follows
+const buildPage = (items, limit, sort, key) => {
+    const hasMore = items.length > limit;
+    const pageItems = hasMore ? items.slice(0, limit) : items;
+    const last = pageItems[pageItems.length - 1];
+    return {
+        items: pageItems,
+        hasMore,
+        nextCursor: hasMore && last ? encodeCursor(last, sort, key) : null,
+    };
+};
+
+module.exports = {
+    withTieBreaker,
+    encodeCursor,
+    decodeCursor,
+    cursorCondition,
+    buildPage,
+};
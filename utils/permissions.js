@@ -0,0 +1,40 @@
+// local-labor-backend/utils/permissions.js
+
+// Every permission a role can grant. Routes check these with requirePermission().
+const PERMISSIONS = {
+    'users:read': 'View laborer, employer and other user accounts',
+    'users:update': 'Edit user accounts, including resetting passwords',
+    'users:delete': 'Delete user accounts',
+    'users:security': 'Force logout and unlock user accounts',
+    'jobs:read': 'View all job postings',
+    'jobs:moderate': 'Edit or close any job posting',
+    'jobs:delete': 'Delete any job posting',
+    'categories:manage': 'Create, rename, reorder and deactivate job categories',
+    'skills:manage': 'Edit the skills catalogue and its aliases, and map stored skills onto it',
+    'roles:manage': 'Create and edit roles and assign them to users',
+};
+
+// Built-in role bundles, created on startup if missing. They cannot be deleted,
+// and the admin role always keeps every permission.
+const SYSTEM_ROLES = [
+    {
+        name: 'admin',
+        description: 'Full administrative access',
+        permissions: Object.keys(PERMISSIONS),
+    },
+    {
+        name: 'support',
+        description: 'Read-only access for the support team',
+        permissions: ['users:read', 'jobs:read'],
+    },
+    {
+        name: 'moderator',
+        description: 'Review and moderate job postings',
+        permissions: ['users:read', 'jobs:read', 'jobs:moderate'],
+    },
+];
+
+// Admin accounts without any assigned role fall back to this bundle
+const DEFAULT_ADMIN_ROLE = 'admin';
+
+module.exports = { PERMISSIONS, SYSTEM_ROLES, DEFAULT_ADMIN_ROLE };
@@ -0,0 +1,13 @@
+// local-labor-backend/utils/phoneNumber.js
+
+// Strip spaces, dashes, dots and brackets and check the result looks like a
+// phone number (optional leading +, 7 to 15 digits). Returns null if it does not.
+const normalizePhoneNumber = (phoneNumber) => {
+    if (typeof phoneNumber !== 'string') {
+        return null;
+    }
+    const normalized = phoneNumber.trim().replace(/[\s\-.()]/g, '');
+    return /^\+?[0-9]{7,15}$/.test(normalized) ? normalized : null;
+};
+
+module.exports = { normalizePhoneNumber };
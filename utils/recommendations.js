@@ -0,0 +1,86 @@
+// local-labor-backend/utils/recommendations.js
+const { distanceInMeters, hasCoordinates } = require('./geo');
+const { sharedSkillIds } = require('./skills');
+
+// How much each signal counts towards a job's score (they add up to 1)
+const WEIGHTS = {
+    skills: 0.4,
+    distance: 0.25,
+    pay: 0.2,
+    recency: 0.15,
+};
+
+// Score given when a signal cannot be judged (e.g. no hourly rate on the profile)
+const NEUTRAL_SCORE = 0.5;
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+// Rough hours per pay period, to compare any pay type with an hourly rate
+const HOURS_PER_PAY_PERIOD = {
+    Hourly: 1,
+    Daily: 8,
+    Weekly: 40,
+    Monthly: 160,
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Share of the job's catalogue skills the laborer has, matched on skill ids. `matched` lists
+// the names, which line up with the ids (see Job.required_skill_ids).
+const scoreSkills = (job, laborerSkillIds) => {
+    const required = job.required_skill_ids || [];
+    if (required.length === 0) return { score: NEUTRAL_SCORE, matched: [] };
+    const shared = new Set(sharedSkillIds(required, laborerSkillIds).map(id => id.toString()));
+    const matched = required
+        .map((id, index) => (shared.has(id.toString()) ? job.required_skills[index] : null))
+        .filter(Boolean);
+    return { score: shared.size / required.length, matched };
+};
+
+// 1 at the laborer's location, falling to 0 at the edge of the search radius
+const scoreDistance = (job, laborerLocation, maxDistance) => {
+    if (!laborerLocation || !hasCoordinates(job.location)) return { score: NEUTRAL_SCORE, meters: null };
+    const meters = Math.round(distanceInMeters(laborerLocation, job.location.coordinates));
+    return { score: Math.max(0, 1 - meters / maxDistance), meters };
+};
+
+// Top of the job's pay range against the laborer's hourly rate: 1 when it pays at least that much
+const scorePay = (job, hourlyRate) => {
+    const hours = HOURS_PER_PAY_PERIOD[job.pay_type];
+    if (!hourlyRate || !hours || !job.pay_rate_max) return { score: NEUTRAL_SCORE, hourlyEquivalent: null };
+    const hourlyEquivalent = job.pay_rate_max / hours;
+    return { score: Math.min(hourlyEquivalent / hourlyRate, 1), hourlyEquivalent: round(hourlyEquivalent) };
+};
+
+// Halves every RECENCY_HALF_LIFE_DAYS since the job was posted
+const scoreRecency = (job, now) => {
+    const ageDays = Math.max(0, (now - new Date(job.posted_at)) / (24 * 60 * 60 * 1000));
+    return { score: Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS), ageDays: round(ageDays) };
+};
+
+// Score a job for a laborer. Returns the weighted total (0-1) and a per-signal breakdown
+// the frontend can use to explain the recommendation.
+const scoreJobForLaborer = (job, laborer, { maxDistance, now = new Date() }) => {
+    const laborerLocation = hasCoordinates(laborer.current_location) ? laborer.current_location.coordinates : null;
+
+    const skills = scoreSkills(job, laborer.skill_ids || []);
+    const distance = scoreDistance(job, laborerLocation, maxDistance);
+    const pay = scorePay(job, laborer.hourly_rate);
+    const recency = scoreRecency(job, now);
+
+    const total = WEIGHTS.skills * skills.score
+        + WEIGHTS.distance * distance.score
+        + WEIGHTS.pay * pay.score
+        + WEIGHTS.recency * recency.score;
+
+    return {
+        score: round(total),
+        breakdown: {
+            skills: { score: round(skills.score), weight: WEIGHTS.skills, matched: skills.matched },
+            distance: { score: round(distance.score), weight: WEIGHTS.distance, meters: distance.meters },
+            pay: { score: round(pay.score), weight: WEIGHTS.pay, hourly_equivalent: pay.hourlyEquivalent },
+            recency: { score: round(recency.score), weight: WEIGHTS.recency, age_days: recency.ageDays },
+        },
+    };
+};
+
+module.exports = { WEIGHTS, scoreJobForLaborer };
@@ -0,0 +1,196 @@
+// local-labor-backend/utils/shifts.js
+// Job schedules: calendar dates are 'YYYY-MM-DD' and times 'HH:mm', both as wall-clock
+// values in the job's IANA time zone. They are only turned into real instants when needed.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SCHEDULE_DAYS = 366; // Keeps recurring shifts to a bounded number of occurrences
+const MAX_SHIFTS = 50;
+
+const isValidDate = (value) => typeof value === 'string'
+    && DATE_PATTERN.test(value)
+    && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// 0 = Sunday ... 6 = Saturday, like Date#getDay
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Milliseconds the time zone is ahead of UTC at the given instant
+const timeZoneOffset = (instant, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(instant);
+    const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    const wallClock = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+    return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// The instant a wall-clock date and time happens in a time zone
+const zonedTimeToUtc = (date, time, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+    // Second pass corrects the offset for times right next to a DST change
+    return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+};
+
+// Every concrete occurrence of a job's shifts as { start, end } Dates, sorted by start.
+// Weekly shifts repeat on their days between the job's start_date and end_date.
+const expandShifts = (job) => {
+    const timeZone = job.timezone || 'UTC';
+    const occurrences = [];
+
+    const addOccurrence = (date, shift) => {
+        // A shift ending at or before its start time runs past midnight
+        const endDate = shift.end_time <= shift.start_time ? addDays(date, 1) : date;
+        occurrences.push({
+            start: zonedTimeToUtc(date, shift.start_time, timeZone),
+            end: zonedTimeToUtc(endDate, shift.end_time, timeZone),
+        });
+    };
+
+    for (const shift of job.shifts || []) {
+        if (shift.repeat === 'weekly') {
+            if (!job.start_date || !job.end_date) continue;
+            for (let date = job.start_date; date <= job.end_date; date = addDays(date, 1)) {
+                if (shift.days_of_week.includes(dayOfWeek(date))) addOccurrence(date, shift);
+            }
+        } else if (shift.date) {
+            addOccurrence(shift.date, shift);
+        }
+    }
+
+    return occurrences.sort((a, b) => a.start - b.start);
+};
+
+// First pair of overlapping occurrences between two sorted lists, or null
+const findOverlap = (first, second) => {
+    let i = 0;
+    let j = 0;
+    while (i < first.length && j < second.length) {
+        if (first[i].start < second[j].end && second[j].start < first[i].end) {
+            return [first[i], second[j]];
+        }
+        if (first[i].end <= second[j].end) i++;
+        else j++;
+    }
+    return null;
+};
+
+// Checks schedule input from a request and returns { schedule } with normalized
+// start_date, end_date, timezone and shifts, or { error } with a message for the client.
+// shifts may arrive as a JSON string from multipart forms.
+const parseSchedule = ({ start_date, end_date, timezone, shifts }) => {
+    let shiftList = shifts || [];
+    if (typeof shiftList === 'string') {
+        try {
+            shiftList = JSON.parse(shiftList);
+        } catch (error) {
+            return { error: 'Shifts must be a JSON array.' };
+        }
+    }
+    if (!Array.isArray(shiftList)) return { error: 'Shifts must be an array.' };
+    if (shiftList.length > MAX_SHIFTS) return { error: `A job can have at most ${MAX_SHIFTS} shifts.` };
+
+    const timeZone = timezone || 'UTC';
+    if (!isValidTimeZone(timeZone)) return { error: `Unknown time zone: ${timeZone}` };
+
+    const normalizedShifts = [];
+    for (const [index, shift] of shiftList.entries()) {
+        const label = `Shift ${index + 1}`;
+        if (!shift || typeof shift !== 'object') return { error: `${label} is not valid.` };
+        if (!isValidTime(shift.start_time) || !isValidTime(shift.end_time)) {
+            return { error: `${label} needs start_time and end_time as HH:mm.` };
+        }
+        if (shift.start_time === shift.end_time) return { error: `${label} starts and ends at the same time.` };
+
+        const repeat = shift.repeat || 'none';
+        if (repeat === 'none') {
+            if (!isValidDate(shift.date)) return { error: `${label} needs a date as YYYY-MM-DD.` };
+            normalizedShifts.push({ repeat, date: shift.date, start_time: shift.start_time, end_time: shift.end_time });
+        } else if (repeat === 'weekly') {
+            const days = Array.isArray(shift.days_of_week) ? [...new Set(shift.days_of_week.map(Number))] : [];
+            if (days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                return { error: `${label} needs days_of_week as numbers from 0 (Sunday) to 6 (Saturday).` };
+            }
+            normalizedShifts.push({ repeat, days_of_week: days.sort((a, b) => a - b), start_time: shift.start_time, end_time: shift.end_time });
+        } else {
+            return { error: `${label} has an unknown repeat rule; use 'none' or 'weekly'.` };
+        }
+    }
+
+    // Without explicit dates, one-off shifts define the job's date range
+    const oneOffDates = normalizedShifts.filter(shift => shift.repeat === 'none').map(shift => shift.date).sort();
+    const startDate = start_date || oneOffDates[0] || null;
+    const endDate = end_date || oneOffDates[oneOffDates.length - 1] || null;
+
+    if (startDate && !isValidDate(startDate)) return { error: 'start_date must be a date as YYYY-MM-DD.' };
+    if (endDate && !isValidDate(endDate)) return { error: 'end_date must be a date as YYYY-MM-DD.' };
+    if (startDate && endDate) {
+        if (endDate < startDate) return { error: 'end_date cannot be before start_date.' };
+        if (daysBetween(startDate, endDate) > MAX_SCHEDULE_DAYS) {
+            return { error: `A job can span at most ${MAX_SCHEDULE_DAYS} days.` };
+        }
+    }
+    if (normalizedShifts.some(shift => shift.repeat === 'weekly') && !(startDate && endDate)) {
+        return { error: 'Weekly shifts need the job to have a start_date and end_date.' };
+    }
+    if (oneOffDates.some(date => (startDate && date < startDate) || (endDate && date > endDate))) {
+        return { error: 'One-off shifts must fall between start_date and end_date.' };
+    }
+
+    return {
+        schedule: { start_date: startDate, end_date: endDate, timezone: timeZone, shifts: normalizedShifts },
+    };
+};
+
+// Query condition for jobs that work on a calendar date: a one-off shift that day, a weekly
+// shift on that weekday within the job's dates, or a date range without explicit shifts.
+const worksOnDateCondition = (date) => ({
+    $or: [
+        { shifts: { $elemMatch: { repeat: 'none', date } } },
+        {
+            start_date: { $lte: date },
+            end_date: { $gte: date },
+            shifts: { $elemMatch: { repeat: 'weekly', days_of_week: dayOfWeek(date) } },
+        },
+        { start_date: { $lte: date }, end_date: { $gte: date }, shifts: { $size: 0 } },
+    ],
+});
+
+// Dates of the coming weekend; today counts when it already is Saturday or Sunday
+const thisWeekendDates = (today = new Date().toISOString().slice(0, 10)) => {
+    const weekday = dayOfWeek(today);
+    if (weekday === 0) return [today];
+    const saturday = addDays(today, 6 - weekday);
+    return [saturday, addDays(saturday, 1)];
+};
+
+module.exports = {
+    isValidDate,
+    zonedTimeToUtc,
+    expandShifts,
+    findOverlap,
+    parseSchedule,
+    worksOnDateCondition,
+    thisWeekendDates,
+};
@@ -0,0 +1,134 @@
+// local-labor-backend/utils/skills.js
+const Skill = require('../models/Skill');
+
+const { normaliseSkillName } = Skill;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Skills sent by a client as an array, a JSON array string (multipart forms) or a comma-separated string
+const parseSkillList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    let list = value;
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        try {
+            list = trimmed.startsWith('[') ? JSON.parse(trimmed) : trimmed.split(',');
+        } catch (error) {
+            list = trimmed.split(',');
+        }
+    }
+    if (!Array.isArray(list)) list = [list];
+    return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Match skill ids, names or aliases against the catalogue. Returns each matched skill once, in the
+// order given, and the inputs that matched nothing. Retired skills only match with includeRetired
+// (searches) or when their id is in keepRetired (skills a profile or job already has).
+const resolveSkills = async (inputs, { includeRetired = false, keepRetired = [] } = {}) => {
+    if (inputs.length === 0) return { skills: [], unknown: [] };
+
+    const ids = inputs.filter(input => OBJECT_ID_PATTERN.test(input));
+    const catalogue = await Skill.find({
+        $or: [{ _id: { $in: ids } }, { keys: { $in: inputs.map(normaliseSkillName) } }],
+    }).lean();
+    const byId = new Map(catalogue.map(skill => [skill._id.toString(), skill]));
+    const byKey = new Map(catalogue.flatMap(skill => skill.keys.map(key => [key, skill])));
+    const retiredAllowed = new Set(keepRetired.map(id => id.toString()));
+
+    const skills = [];
+    const unknown = [];
+    for (const input of inputs) {
+        const skill = byId.get(input) || byKey.get(normaliseSkillName(input));
+        if (!skill || (!skill.is_active && !includeRetired && !retiredAllowed.has(skill._id.toString()))) {
+            unknown.push(input);
+        } else if (!skills.includes(skill)) {
+            skills.push(skill);
+        }
+    }
+    return { skills, unknown };
+};
+
+// Skills for a profile or job as { names, ids }: catalogue skills first (names[i] is the canonical
+// name of ids[i]), then anything the catalogue does not know yet as free text, once per spelling.
+// The free-text names take no part in matching until the migration maps them onto a skill.
+const normaliseSkills = async (value, options) => {
+    const { skills, unknown } = await resolveSkills(parseSkillList(value), options);
+    const leftovers = unknown.filter((name, index) => unknown.findIndex(other => normaliseSkillName(other) === normaliseSkillName(name)) === index);
+    return { names: [...skills.map(skill => skill.name), ...leftovers], ids: skills.map(skill => skill._id) };
+};
+
+// The ids in `wanted` that also appear in `offered`
+const sharedSkillIds = (wanted = [], offered = []) => {
+    const offeredIds = new Set(offered.map(id => id.toString()));
+    return wanted.filter(id => offeredIds.has(id.toString()));
+};
+
+// Rewrite the stored skill names of one collection onto the catalogue: known spellings become the
+// canonical name plus its id, unknown strings are kept after them so nothing is lost and a later
+// run can map them once an alias exists. Safe to run again.
+const remapSkillField = async (Model, namesPath, idsPath, catalogue, unmapped) => {
+    let updated = 0;
+    const cursor = Model.find({ [namesPath]: { $exists: true, $ne: [] } })
+        .select([namesPath, idsPath].filter(Boolean).join(' '))
+        .lean()
+        .cursor();
+
+    for await (const doc of cursor) {
+        const readPath = (fieldPath) => fieldPath.split('.').reduce((value, key) => (value ? value[key] : undefined), doc);
+        const names = [];
+        const ids = [];
+        const leftovers = [];
+        for (const name of readPath(namesPath) || []) {
+            const skill = catalogue.get(normaliseSkillName(name));
+            if (skill) {
+                if (!ids.some(id => id.equals(skill._id))) {
+                    names.push(skill.name);
+                    ids.push(skill._id);
+                }
+            } else if (!leftovers.some(leftover => normaliseSkillName(leftover) === normaliseSkillName(name))) {
+                leftovers.push(name);
+                unmapped.set(name, (unmapped.get(name) || 0) + 1);
+            }
+        }
+
+        const update = { [namesPath]: [...names, ...leftovers] };
+        if (idsPath) update[idsPath] = ids;
+        const current = { [namesPath]: readPath(namesPath) };
+        if (idsPath) current[idsPath] = readPath(idsPath) || [];
+        if (JSON.stringify(current) !== JSON.stringify(update)) {
+            await Model.updateOne({ _id: doc._id }, { $set: update });
+            updated++;
+        }
+    }
+    return updated;
+};
+
+// Migration: map the free-text skills stored on users, jobs, job templates and saved searches onto
+// the catalogue (POST /api/admin/skills/migrate). Returns how many documents changed per collection
+// and every string that matched no skill, with how often it was seen.
+const migrateStoredSkills = async () => {
+    // Required here rather than at the top because models/SavedSearch.js uses this module
+    const User = require('../models/User');
+    const Job = require('../models/Job');
+    const JobTemplate = require('../models/JobTemplate');
+    const SavedSearch = require('../models/SavedSearch');
+
+    const skills = await Skill.find({}).lean();
+    const catalogue = new Map(skills.flatMap(skill => skill.keys.map(key => [key, skill])));
+    const unmapped = new Map();
+
+    const updated = {
+        users: await remapSkillField(User, 'skills', 'skill_ids', catalogue, unmapped),
+        jobs: await remapSkillField(Job, 'required_skills', 'required_skill_ids', catalogue, unmapped),
+        job_templates: await remapSkillField(JobTemplate, 'required_skills', null, catalogue, unmapped),
+        saved_searches: await remapSkillField(SavedSearch, 'filters.skills', 'filters.skill_ids', catalogue, unmapped),
+    };
+    return { updated, unmapped: [...unmapped.entries()].sort((a, b) => b[1] - a[1]) };
+};
+
+module.exports = {
+    parseSkillList,
+    resolveSkills,
+    normaliseSkills,
+    sharedSkillIds,
+    migrateStoredSkills,
+};
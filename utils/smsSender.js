@@ -0,0 +1,50 @@
+// local-labor-backend/utils/smsSender.js
+const fs = require('fs');
+const path = require('path');
+
+// A transport is any object with an async send({ to, body }) method.
+// Pick one with SMS_TRANSPORT (console or file) or plug in a real gateway with registerTransport().
+
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`[sms] To: ${message.to} | ${message.body}`);
+    },
+};
+
+// Writes each message as a JSON file so development and tests can read the outbox
+const fileTransport = {
+    send: async (message) => {
+        const outboxDir = process.env.SMS_OUTBOX_DIR || path.join(__dirname, '../sms_outbox');
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^0-9+]/g, '_')}.json`;
+        await fs.promises.writeFile(
+            path.join(outboxDir, fileName),
+            JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+        );
+    },
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport,
+};
+
+const registerTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('An SMS transport must implement send(message).');
+    }
+    transports[name] = transport;
+};
+
+// --- Send a text message through the configured transport ---
+const sendSms = async ({ to, body }) => {
+    const transportName = process.env.SMS_TRANSPORT || 'console';
+    const transport = transports[transportName];
+    if (!transport) {
+        throw new Error(`Unknown SMS transport: ${transportName}`);
+    }
+
+    await transport.send({ from: process.env.SMS_SENDER_ID || 'GeoJob', to, body });
+};
+
+module.exports = { sendSms, registerTransport };
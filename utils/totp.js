@@ -0,0 +1,93 @@
+// local-labor-backend/utils/totp.js
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) compatible with Google Authenticator,
+// Authy, Microsoft Authenticator etc.: SHA-1, 6 digits, 30 second steps.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character in secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// --- Generate a new random base32 secret (160 bits) ---
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// --- Compute the code for a given time step counter ---
+const generateCode = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+// --- Check a code, allowing one step of clock drift either way ---
+const verifyCode = (secret, code, window = 1) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return false;
+    }
+    const currentCounter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = generateCode(secret, currentCounter + drift);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// --- Build the otpauth:// URI that authenticator apps read from a QR code ---
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: DIGITS.toString(),
+        period: STEP_SECONDS.toString(),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = { generateSecret, generateCode, verifyCode, buildOtpauthUrl };
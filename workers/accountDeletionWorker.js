@@ -0,0 +1,30 @@
+// local-labor-backend/workers/accountDeletionWorker.js
+const User = require('../models/User');
+const { deleteUserAccount } = require('../utils/accountCleanup');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+
+// Permanently delete accounts whose deletion grace period has ended
+const runAccountDeletion = async () => {
+    const dueUsers = await User.find({ deletion_scheduled_for: { $lte: new Date() } });
+
+    for (const user of dueUsers) {
+        try {
+            await deleteUserAccount(user);
+            console.log(`Account deletion: removed user ${user._id}`);
+        } catch (error) {
+            // Leave it scheduled, the next run tries again
+            console.error(`Account deletion failed for user ${user._id}:`, error);
+        }
+    }
+
+    return dueUsers.length;
+};
+
+const startAccountDeletionWorker = () => {
+    const run = () => runAccountDeletion().catch(error => console.error('Account deletion worker error:', error));
+    run();
+    return setInterval(run, CHECK_INTERVAL_MS);
+};
+
+module.exports = { runAccountDeletion, startAccountDeletionWorker };
@@ -0,0 +1,62 @@
+// local-labor-backend/workers/geocodeRetryWorker.js
+const Job = require('../models/Job');
+const { geocodeFirst } = require('../utils/geocoder');
+const { queueJobAlerts } = require('../utils/jobAlerts');
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.GEOCODE_RETRY_CHECK_MINUTES) || 5) * 60 * 1000;
+const BATCH_SIZE = 50; // Keeps each run gentle on rate-limited providers
+const GEOCODE_FIELDS = ['geocode_status', 'geocode_attempts', 'geocode_error', 'geocode_retry_at'];
+
+// Jobs saved before failed lookups were tracked were placed at [0, 0]; queue them for a real lookup
+const flagPlaceholderLocations = async () => {
+    const result = await Job.updateMany(
+        { 'location.coordinates': [0, 0] },
+        {
+            $unset: { location: '' },
+            $set: { geocode_status: 'pending', geocode_attempts: 0, geocode_error: null, geocode_retry_at: new Date() },
+        }
+    );
+    return result.modifiedCount;
+};
+
+// Look up the city again for every pending job whose retry time has come
+const runGeocodeRetries = async () => {
+    const now = new Date();
+    const dueJobs = await Job.find({ geocode_status: 'pending', geocode_retry_at: { $lte: now } })
+        .sort({ geocode_retry_at: 1 })
+        .limit(BATCH_SIZE);
+
+    let resolved = 0;
+    for (const job of dueJobs) {
+        job.applyGeocodeResult(await geocodeFirst(job.geocodeQueries()), now);
+        const fields = Object.fromEntries(GEOCODE_FIELDS.map(field => [field, job[field]]));
+        const update = job.geocode_status
+            ? { $set: fields, $unset: { location: '' } }
+            : { $set: { ...fields, location: job.toObject().location } };
+        // Conditional update so an address the employer changed in the meantime is not overwritten
+        const result = await Job.updateOne(
+            { _id: job._id, city: job.city, address: job.address, geocode_status: 'pending' },
+            update
+        );
+        if (result.modifiedCount > 0 && !job.geocode_status) {
+            resolved++;
+            // Saved searches with a location filter could not match the job without coordinates
+            if (job.status === 'Active') queueJobAlerts(job._id);
+        }
+    }
+
+    return resolved;
+};
+
+const startGeocodeRetryWorker = () => {
+    const run = () => runGeocodeRetries().catch(error => console.error('Geocode retry worker error:', error));
+    flagPlaceholderLocations()
+        .then(flagged => {
+            if (flagged > 0) console.log(`Geocode retry worker: ${flagged} job(s) at [0, 0] queued for geocoding`);
+        })
+        .catch(error => console.error('Geocode retry worker: could not flag placeholder locations:', error))
+        .finally(run);
+    return setInterval(run, CHECK_INTERVAL_MS);
+};
+
+module.exports = { flagPlaceholderLocations, runGeocodeRetries, startGeocodeRetryWorker };
@@ -0,0 +1,55 @@
+// local-labor-backend/workers/jobAlertDigestWorker.js
+const SavedSearch = require('../models/SavedSearch');
+const JobAlert = require('../models/JobAlert');
+const { deliverJobAlerts, allChannelsFailed, ALERT_USER_FIELDS } = require('../utils/jobAlerts');
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.JOB_ALERT_DIGEST_CHECK_MINUTES) || 60) * 60 * 1000;
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Send one digest per daily saved search with the alerts collected since the last one
+const runDailyDigests = async () => {
+    const now = new Date();
+    const dueSearches = await SavedSearch.find({
+        is_active: true,
+        frequency: 'daily',
+        $or: [{ last_digest_at: null }, { last_digest_at: { $lte: new Date(now.getTime() - DIGEST_INTERVAL_MS) } }],
+    }).populate('user_id', ALERT_USER_FIELDS);
+
+    let sent = 0;
+    for (const savedSearch of dueSearches) {
+        if (!savedSearch.user_id) continue;
+        try {
+            const alerts = await JobAlert.find({ saved_search_id: savedSearch._id, delivered_at: null })
+                .sort({ createdAt: 1 })
+                .populate('job_id', 'title city status');
+            // Jobs that were deleted or already closed again are left out of the digest
+            const jobs = alerts.map(alert => alert.job_id).filter(job => job && job.status === 'Active');
+
+            if (jobs.length > 0) {
+                if (allChannelsFailed(await deliverJobAlerts(savedSearch, jobs))) {
+                    // Not marked as sent, so the next run tries again
+                    continue;
+                }
+                sent++;
+            }
+            if (alerts.length > 0) {
+                await JobAlert.updateMany({ _id: { $in: alerts.map(alert => alert._id) } }, { $set: { delivered_at: now } });
+            }
+            savedSearch.last_digest_at = now;
+            await savedSearch.save();
+        } catch (error) {
+            // Not marked as sent, so the next run tries again
+            console.error(`Job alert digest failed for saved search ${savedSearch._id}:`, error);
+        }
+    }
+
+    return sent;
+};
+
+const startJobAlertDigestWorker = () => {
+    const run = () => runDailyDigests().catch(error => console.error('Job alert digest worker error:', error));
+    run();
+    return setInterval(run, CHECK_INTERVAL_MS);
+};
+
+module.exports = { runDailyDigests, startJobAlertDigestWorker };
@@ -0,0 +1,61 @@
+// local-labor-backend/workers/jobExpiryWorker.js
+const Job = require('../models/Job');
+const { sendMail } = require('../utils/mailer');
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.JOB_EXPIRY_CHECK_MINUTES) || 15) * 60 * 1000;
+// How long before the deadline the employer is warned
+const EXPIRY_NOTICE_HOURS = parseInt(process.env.JOB_EXPIRY_NOTICE_HOURS) || 24;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Close every active job whose application deadline has passed
+const closeExpiredJobs = async () => {
+    const now = new Date();
+    const result = await Job.updateMany(
+        { status: 'Active', application_deadline: { $ne: null, $lte: now } },
+        { $set: { status: 'Closed', auto_closed_at: now } }
+    );
+    return result.modifiedCount;
+};
+
+// Warn employers once about active jobs that are about to expire
+const notifyExpiringJobs = async () => {
+    const now = new Date();
+    const noticeLimit = new Date(now.getTime() + EXPIRY_NOTICE_HOURS * 60 * 60 * 1000);
+
+    const jobs = await Job.find({
+        status: 'Active',
+        application_deadline: { $gt: now, $lte: noticeLimit },
+        expiry_notified_at: null,
+    }).populate('employer_id', 'full_name email');
+
+    for (const job of jobs) {
+        if (!job.employer_id) continue;
+        try {
+            await sendMail({
+                to: job.employer_id.email,
+                subject: `Your job "${job.title}" closes soon`,
+                text: `Hi ${job.employer_id.full_name},\n\nApplications for "${job.title}" close on ${job.application_deadline.toUTCString()}, after which the job is closed automatically.\n\nNeed more time? Extend the deadline here:\n${CLIENT_URL}/my-jobs/${job._id}/extend`,
+            });
+            await Job.updateOne({ _id: job._id }, { $set: { expiry_notified_at: now } });
+        } catch (error) {
+            // Not marked as notified, so the next run tries again
+            console.error(`Job expiry notice failed for job ${job._id}:`, error);
+        }
+    }
+
+    return jobs.length;
+};
+
+const runJobExpiry = async () => {
+    const notified = await notifyExpiringJobs();
+    const closed = await closeExpiredJobs();
+    return { notified, closed };
+};
+
+const startJobExpiryWorker = () => {
+    const run = () => runJobExpiry().catch(error => console.error('Job expiry worker error:', error));
+    run();
+    return setInterval(run, CHECK_INTERVAL_MS);
+};
+
+module.exports = { closeExpiredJobs, notifyExpiringJobs, runJobExpiry, startJobExpiryWorker };
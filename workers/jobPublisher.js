@@ -0,0 +1,41 @@
+// local-labor-backend/workers/jobPublisher.js
+const Job = require('../models/Job');
+const { queueJobAlerts } = require('../utils/jobAlerts');
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.JOB_PUBLISH_CHECK_MINUTES) || 1) * 60 * 1000;
+
+// Make every scheduled job whose publish time has come live
+const runJobPublisher = async () => {
+    const now = new Date();
+    const dueJobs = await Job.find({ status: 'Scheduled', publish_at: { $lte: now } });
+
+    let published = 0;
+    for (const job of dueJobs) {
+        // The category was checked when the job was scheduled; older scheduled jobs have none
+        const missing = job.missingPublishFields({ requireCategory: false });
+        if (missing.length > 0) {
+            // Should not happen as scheduling validates the job; keep it scheduled rather than publish half a posting
+            console.error(`Job publisher: job ${job._id} is missing ${missing.join(', ')}, not published`);
+            continue;
+        }
+        // Conditional update so an employer editing the job at the same moment is not overwritten
+        const result = await Job.updateOne(
+            { _id: job._id, status: 'Scheduled', publish_at: job.publish_at },
+            { $set: { status: 'Active', posted_at: now, publish_at: null } }
+        );
+        if (result.modifiedCount > 0) {
+            published++;
+            queueJobAlerts(job._id);
+        }
+    }
+
+    return published;
+};
+
+const startJobPublisher = () => {
+    const run = () => runJobPublisher().catch(error => console.error('Job publisher error:', error));
+    run();
+    return setInterval(run, CHECK_INTERVAL_MS);
+};
+
+module.exports = { runJobPublisher, startJobPublisher };